@@ -1,7 +1,11 @@
 'use strict';
 
 var fs = require('graceful-fs');
+var crypto = require('crypto');
 var path = require('path');
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+var parseUrl = require('url').parse;
 var glob = require('glob');
 var async = require('async');
 var request = require('request');
@@ -12,11 +16,52 @@ function RemoteHandlebars(options) {
     options || (options = {});
     var self = this;
 
+    EventEmitter.call(this);
+
     // Set options
     this.layout = ('layout' in options) ? options.layout : false;
+    this.layoutResolver = options.layoutResolver;
+    if (isResolver(this.layout)) {
+        this.layoutResolver = this.layout;
+        this.layout = false;
+    }
     this.placeholder = options.placeholder || 'content';
+    this.sections = options.sections || {};
     this.helpers = options.helpers;
+    this.helpersDir = options.helpersDir;
     this.partialsDir = options.partialsDir || 'views/partials/';
+    this.layoutsDir = options.layoutsDir || 'views/layouts/';
+    this.partials = options.partials;
+    this.partialsPriority = options.partialsPriority || 'local';
+    this.fallbackLayout = options.fallbackLayout;
+    this.degradeLayout = options.degradeLayout || false;
+    this.degradePartials = options.degradePartials;
+    this.maxAge = options.maxAge;
+    this.staleWhileRevalidate = options.staleWhileRevalidate;
+    this.staleIfError = options.staleIfError || 0;
+    this.onError = options.onError;
+    this.preloadLayouts = options.preload;
+    this.refreshInterval = options.refreshInterval;
+    this.ready = false;
+    this.watch = options.watch || false;
+    this.timeout = options.timeout;
+    this.retries = options.retries || 0;
+    this.retryDelay = options.retryDelay || 100;
+    this.breakerThreshold = options.breakerThreshold;
+    this.breakerCooldown = options.breakerCooldown || 30;
+    this.allowedHosts = options.allowedHosts;
+    this.maxBodySize = options.maxBodySize;
+    this.validateContentType = options.validateContentType || false;
+    this.contentTypes = ['text/x-handlebars-template', 'application/json'];
+
+    // Precompiled specs run as JavaScript, so hosts may only send them if explicitly allowed
+    this.allowPrecompiled = options.allowPrecompiled || false;
+    if (this.allowPrecompiled) this.contentTypes.push('application/x-handlebars-precompiled');
+    this.layoutDataKey = options.layoutDataKey || 'layoutData';
+    this.compileOptions = options.compileOptions;
+    this.fragmentFallback = options.fragmentFallback || '';
+    this.fragmentTimeout = options.fragmentTimeout;
+    this.watchers = {};
 
     // Someone might want to override these
     this.request = options.request || request;
@@ -25,87 +70,351 @@ function RemoteHandlebars(options) {
     // Cache for remote views
     this.cache = LRU({ maxSize: options.size || options.max || options.maxSize, maxAge: options.maxAge, staleWhileRevalidate: options.staleWhileRevalidate });
 
+    // Request headers remote templates vary on, configured and learned from Vary response headers per URL
+    this.varyHeaders = (options.varyHeaders || []).map(function (name) { return name.toLowerCase(); });
+    this.varies = {};
+
+    // Cache for remote fragments included by views and layouts
+    this.fragments = LRU({ maxSize: options.size || options.max || options.maxSize, maxAge: options.maxAge, staleWhileRevalidate: options.staleWhileRevalidate });
+
+    // Validators (ETag, Last-Modified) and compiled template of the last response per remote template
+    this.metadata = LRU({ maxSize: options.size || options.max || options.maxSize });
+
     // Local views do not expire
     this.cacheForever = LRU();
+    this.layoutPaths = {};
+
+    // Restore remote templates persisted by a previous process
+    this.snapshotDir = options.snapshotDir;
+    if (this.snapshotDir) {
+        this.loadSnapshots(function (error) {
+            if (error) report(self, error);
+        });
+    }
+
+    // Record remote responses into fixtures directory or replay them from there without network
+    this.fixturesDir = options.fixturesDir;
+    this.fixturesMode = options.fixturesMode;
+    if (this.fixturesMode && !this.fixturesDir) throw new Error('RemoteHandlebars expects fixturesDir with fixturesMode');
+
+    // Local views and partials precompiled ahead of time by path
+    this.precompiled = {};
+    this.bundle = options.bundle;
+    if (this.bundle) {
+        this.loadBundle(function (error) {
+            if (error) report(self, error);
+        });
+    }
+
+    // Circuit breakers per host of remote templates
+    this.breakerState = {};
+
+    // Aggregated instrumentation events, durations in milliseconds
+    this.statistics = {
+        fetches: { count: 0, errors: 0, bytes: 0, duration: 0 },
+        cache: { hit: 0, miss: 0, stale: 0, revalidate: 0 },
+        compiles: { count: 0, duration: 0 },
+        renders: { count: 0, errors: 0, duration: 0 },
+        errors: 0
+    };
+
+    // Keep preloaded layouts hot regardless of traffic
+    if (this.refreshInterval) this.startRefresh();
 
     // Expose view engine
     this.engine = this.render.bind(this);
 };
 
+util.inherits(RemoteHandlebars, EventEmitter);
+
 RemoteHandlebars.prototype.render = function render(filePath, options, callback) {
     var self = this;
 
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+    options || (options = {});
+
+    if (!callback) return promise(function (done) { self.render(filePath, options, done); });
+
     var context = options;
-    var layout = ('layout' in options) ? options.layout : this.layout;
-    var placeholder = options.placeholder || this.placeholder;
-    var helpers = options.helpers || this.helpers;
-    var partialsDir = options.partialsDir || this.partialsDir;
+    var job = renderJob(this, filePath, options);
+    var start = Date.now();
 
-    var tasks = { view: viewTask };
-    if (layout) tasks.layout = layoutTask;
-    if (partialsDir) tasks.partials = partialsTask;
+    async.parallel(job.tasks, function (error, results) {
+        if (error) return rendered(error);
+        var settings = renderSettings(job, results);
+        var output;
+        try {
+            flagDegraded(self, job, context, filePath);
+            assignLayoutData(job, context, results.layouts);
+            output = results.view(context, settings);
+            if (results.layouts) {
+                extend(context, job.sections, job.collected);
+                output = applyLayouts(results.layouts, context, settings, job.placeholder, output);
+            }
+        } catch (error) {
+            return rendered(error);
+        }
+        resolveIncludes(self, job, output, rendered);
+    });
 
-    async.parallel(tasks, function (error, results) {
-        if (error) return callback(error);
-        var settings = {
-            helpers: helpers,
-            partials: results.partials,
-            data: options.data
-        };
-        var rendered = results.view(context, settings);
-        if (results.layout) {
-            context[placeholder] = rendered;
-            rendered = results.layout(context, settings);
+    function rendered(error, output) {
+        instrument(self, 'render', { view: filePath, duration: Date.now() - start, error: error || undefined });
+        callback(error, output);
+    }
+};
+
+RemoteHandlebars.prototype.renderStream = function renderStream(filePath, options, stream, callback) {
+    var self = this;
+
+    options || (options = {});
+
+    if (!callback) return promise(function (done) { self.renderStream(filePath, options, stream, done); });
+
+    var context = options;
+    var job = renderJob(this, filePath, options);
+    var marker = '\u001eremote-handlebars-' + Math.random().toString(36).slice(2) + '\u001e';
+    var headSent = false;
+    var start = Date.now();
+
+    var tasks = extend({}, job.tasks);
+    tasks.head = Object.keys(job.tasks).filter(function (name) { return name !== 'view'; }).concat(headTask);
+    tasks.body = ['view', 'head', bodyTask];
+
+    async.auto(tasks, function (error) {
+        instrument(self, 'render', { view: filePath, duration: Date.now() - start, error: error || undefined });
+        if (error) {
+            error.headersSent = headSent;
+            return callback(error);
         }
-        callback(null, rendered);
+        stream.end();
+        callback(null);
     });
 
-    function viewTask(done) {
-        self.getView(filePath, options, done);
+    // Flush layout up to content placeholder as soon as layout and partials are available
+    function headTask(done, results) {
+        flagDegraded(self, job, context, filePath);
+        if (!results.layouts) return done();
+        var parts;
+        try {
+            assignLayoutData(job, context, results.layouts);
+            parts = splitLayouts(results.layouts, extend({}, context, job.sections), renderSettings(job, results));
+        } catch (error) {
+            return done(error);
+        }
+        if (!parts) return done();
+        resolveIncludes(self, job, parts[0], function (error, head) {
+            if (error) return done(error);
+            stream.write(head);
+            headSent = true;
+            done();
+        });
     }
-    function layoutTask(done) {
-        if (typeof layout === 'function') return done(null, layout);
-        self.getLayout(layout, options, done);
+
+    function bodyTask(done, results) {
+        var settings = renderSettings(job, results);
+        var rendered;
+        try {
+            assignLayoutData(job, context, results.layouts);
+            rendered = results.view(context, settings);
+            if (results.layouts) {
+                extend(context, job.sections, job.collected);
+                if (headSent) {
+                    // Render remainder of layout with sections collected by view
+                    rendered += splitLayouts(results.layouts, context, settings)[1];
+                } else {
+                    rendered = applyLayouts(results.layouts, context, settings, job.placeholder, rendered);
+                }
+            }
+        } catch (error) {
+            return done(error);
+        }
+        resolveIncludes(self, job, rendered, function (error, body) {
+            if (error) return done(error);
+            stream.write(body);
+            done();
+        });
     }
-    function partialsTask(done) {
-        self.getPartials(partialsDir, options, done);
+
+    function splitLayouts(layouts, context, settings) {
+        var rendered = applyLayouts(layouts, context, settings, job.placeholder, marker);
+        var index = rendered.indexOf(marker);
+        if (index === -1) return null;
+        return [rendered.slice(0, index), rendered.slice(index + marker.length)];
     }
 };
 
+RemoteHandlebars.prototype.middleware = function middleware() {
+    var self = this;
+    return function (req, res, next) {
+        res.renderStream = function (name, locals, callback) {
+            if (typeof locals === 'function') {
+                callback = locals;
+                locals = null;
+            }
+            callback || (callback = function (error) {
+                if (error) req.next(error);
+            });
+
+            var app = req.app;
+            var options = extend({}, app.locals, res.locals, locals);
+            if (options.cache == null) options.cache = app.enabled('view cache');
+
+            var View = app.get('view');
+            var view = new View(name, {
+                defaultEngine: app.get('view engine'),
+                root: app.get('views'),
+                engines: app.engines
+            });
+            if (!view.path) return callback(new Error('Failed to lookup view \'' + name + '\''));
+
+            if (!res.get('Content-Type')) res.type('html');
+            self.renderStream(view.path, options, res, callback);
+        };
+        next();
+    };
+};
+
 RemoteHandlebars.prototype.getLayout = function getLayout(url, options, callback) {
     var self = this;
 
     if (typeof options === 'function') {
         callback = options;
         options = null;
-    } else if (typeof url === 'function') {
+    } else if (typeof url === 'function' && options == null && callback == null) {
+        // Function on its own is taken as callback, layout templates need to be passed with options
         callback = url;
         options = null;
         url = null;
     }
+    options || (options = {});
+
+    if (!callback) return promise(function (done) { self.getLayout(url, options, done); });
+
+    var resolver = isResolver(url) ? url : (url ? null : (options.layoutResolver || this.layoutResolver));
+    if (resolver === url) url = null;
+    var fallbackLayout = ('fallbackLayout' in options) ? options.fallbackLayout : this.fallbackLayout;
     url || (url = this.layout);
+
+    if (!url && !resolver) throw new Error('RemoteHandlebars.getLayout expects url, this.layout or this.layoutResolver');
+
+    if (!resolver) return load(url);
+    resolveLayout(resolver, options, function (error, resolved) {
+        if (error) return callback(error);
+        load(resolved);
+    });
+
+    function load(layout) {
+        if (!layout) return callback(null, null);
+        if (typeof layout === 'function') return callback(null, layout);
+        if (isLocalLayout(layout)) return getLocalLayout(self, layout, options, callback);
+        url = layout;
+        self.getTemplate(url, options, function (error, template) {
+            if (error && fallbackLayout) return fallback(error);
+            callback(error, template);
+        });
+    }
+
+    // Render with local layout if remote layout is unavailable
+    function fallback(error) {
+        error.url || (error.url = url.url || url);
+        report(self, error);
+        self.getView(fallbackLayout, options, callback);
+    }
+};
+
+RemoteHandlebars.prototype.getRemotePartials = function getRemotePartials(partials, options, callback) {
+    var self = this;
+
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    } else if (typeof partials === 'function') {
+        callback = partials;
+        options = null;
+        partials = null;
+    }
+    partials || (partials = this.partials);
+    options || (options = {});
+
+    if (!callback) return promise(function (done) { self.getRemotePartials(partials, options, done); });
+    if (!partials) return callback(null, {});
+
+    var templates = {};
+    async.forEachOf(partials, function (url, name, next) {
+        self.getTemplate(url, options, function (error, template) {
+            if (error && options.onPartialError) {
+                template = options.onPartialError(error, name);
+                if (template) error = null;
+            }
+            if (error) return next(error);
+            templates[name] = template;
+            next();
+        });
+    }, function (error) {
+        if (error) return callback(error);
+        callback(null, templates);
+    });
+};
+
+RemoteHandlebars.prototype.getTemplate = function getTemplate(url, options, callback) {
+    var self = this;
+
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
     options || (options = {});
 
-    if (!url) throw new Error('RemoteHandlebars.getLayout expects url or this.layout');
-    if (!callback) throw new Error('RemoteHandlebars.getLayout expects callback');
+    if (!callback) return promise(function (done) { self.getTemplate(url, options, done); });
+    if (!url) throw new Error('RemoteHandlebars.getTemplate expects url');
 
     // Ensure accept header
     if (typeof url === 'string') {
         url = {url: url};
     }
     url.headers || (url.headers = {});
-    url.headers['Accept'] = 'text/x-handlebars-template';
+    url.headers['Accept'] = this.contentTypes.join(', ');
 
     if (options.cache === false) {
-        return requestTemplate(null, function (error, template, cacheControl) {
+        return self.requestTemplate(url, function (error, template, cacheControl) {
             callback(error, template);
         });
     }
-    this.cache.wrap(url.url, requestTemplate, callback);
+    var key = cacheKey(this, url);
+    if (!this.cache.has(key)) instrument(this, 'cache:miss', { key: key });
+    else instrument(this, this.cache.isStale(key) ? 'cache:stale' : 'cache:hit', { key: key });
+    this.cache.wrap(key, fetchTemplate(this, url), callback);
+};
+
+RemoteHandlebars.prototype.getFragment = function getFragment(url, options, callback) {
+    var self = this;
+
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+    options || (options = {});
+
+    if (!callback) return promise(function (done) { self.getFragment(url, options, done); });
+    if (!url) throw new Error('RemoteHandlebars.getFragment expects url');
+
+    if (typeof url === 'string') {
+        url = {url: url};
+    }
+    url.headers || (url.headers = {});
+    url.headers['Accept'] = 'text/html';
 
-    function requestTemplate(key, done) {
-        self.requestTemplate(url, done);
+    if (options.cache === false) {
+        return fetchFragment(this, url, null, function (error, body) {
+            callback(error, body);
+        });
     }
+    this.fragments.wrap(url.url, function (key, done) {
+        fetchFragment(self, url, key, done);
+    }, callback);
 };
 
 RemoteHandlebars.prototype.getView = function getView(filePath, options, callback) {
@@ -115,11 +424,11 @@ RemoteHandlebars.prototype.getView = function getView(filePath, options, callbac
         callback = options;
         options = null;
     }
-    filePath = path.resolve(filePath);
     options || (options = {});
 
+    if (!callback) return promise(function (done) { self.getView(filePath, options, done); });
     if (!filePath) throw new Error('RemoteHandlebars.getView expects filePath');
-    if (!callback) throw new Error('RemoteHandlebars.getView expects callback');
+    filePath = path.resolve(filePath);
 
     if (options.cache === false) {
         return readTemplate(null, callback);
@@ -127,6 +436,7 @@ RemoteHandlebars.prototype.getView = function getView(filePath, options, callbac
     this.cacheForever.wrap(filePath, readTemplate, callback);
 
     function readTemplate(key, done) {
+        if (self.watch) watchView(self, filePath);
         self.readTemplate(filePath, done);
     }
 };
@@ -144,58 +454,606 @@ RemoteHandlebars.prototype.getPartials = function getPartials(partialsDir, optio
     }
     partialsDir || (partialsDir = this.partialsDir);
     options || (options = {});
-    
+
+    if (!callback) return promise(function (done) { self.getPartials(partialsDir, options, done); });
     if (!partialsDir) throw new Error('RemoteHandlebars.getPartials expects partialsDir or this.partialsDir');
-    if (!callback) throw new Error('RemoteHandlebars.getPartials expects callback');
 
     if (typeof partialsDir === 'string') {
         partialsDir = [partialsDir];
     }
 
+    // Failures are cached along with partials which compiled, so the hook is asked on every call without reading again
+    if (options.onPartialError) {
+        if (options.cache === false) {
+            return findDegradable(null, replaceFailed);
+        }
+        return this.cacheForever.wrap('degradable:' + partialsDir.join(''), findDegradable, replaceFailed);
+    }
+
     if (options.cache === false) {
         return findTemplates(null, callback);
     }
     this.cacheForever.wrap(partialsDir.join(''), findTemplates, callback);
 
     function findTemplates(key, done) {
+        if (self.watch && key) watchDirectories(self, key, partialsDir);
         self.findTemplates(partialsDir, done);
     }
+
+    function findDegradable(key, done) {
+        if (self.watch && key) watchDirectories(self, key, partialsDir);
+        var errors = {};
+        self.findTemplates(partialsDir, function (error, name) {
+            errors[name] = error;
+            return self.handlebars.compile('');
+        }, function (error, partials) {
+            if (error) return done(error);
+            done(null, { partials: partials, errors: errors });
+        });
+    }
+
+    function replaceFailed(error, found) {
+        if (error) return callback(error);
+        var partials = extend({}, found.partials);
+        var names = Object.keys(found.errors);
+        for (var i = 0; i < names.length; i++) {
+            var template = options.onPartialError(found.errors[names[i]], names[i]);
+            if (!template) return callback(found.errors[names[i]]);
+            partials[names[i]] = template;
+        }
+        callback(null, partials);
+    }
+};
+
+RemoteHandlebars.prototype.preload = function preload(urls, callback) {
+    var self = this;
+
+    if (typeof urls === 'function') {
+        callback = urls;
+        urls = null;
+    }
+    urls || (urls = this.preloadLayouts || preloadableLayouts(this));
+
+    if (!callback) return promise(function (done) { self.preload(urls, done); });
+
+    var tasks = {
+        layouts: function (done) {
+            async.each(urls, function (url, next) {
+                self.getLayout(url, {}, next);
+            }, done);
+        },
+        remotePartials: function (done) {
+            self.getRemotePartials(done);
+        }
+    };
+    if (this.partialsDir) tasks.partials = function (done) {
+        self.getPartials(done);
+    };
+    if (this.helpersDir) tasks.helpers = function (done) {
+        self.getHelpers(done);
+    };
+
+    async.parallel(tasks, function (error) {
+        if (error) return callback(error);
+        self.ready = true;
+        callback(null);
+    });
+};
+
+RemoteHandlebars.prototype.isReady = function isReady() {
+    return this.ready;
+};
+
+RemoteHandlebars.prototype.readiness = function readiness() {
+    var self = this;
+    return function (req, res) {
+        var ready = self.isReady();
+        res.statusCode = ready ? 200 : 503;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ ready: ready }));
+    };
+};
+
+RemoteHandlebars.prototype.startRefresh = function startRefresh(interval) {
+    var self = this;
+    interval || (interval = this.refreshInterval);
+
+    if (!interval) throw new Error('RemoteHandlebars.startRefresh expects interval or this.refreshInterval');
+
+    this.stopRefresh();
+    this.refreshTimer = setInterval(function () {
+        self.preload(function (error) {
+            if (error) report(self, error);
+        });
+    }, interval * 1000);
+
+    // Refreshing alone should not keep process alive
+    if (this.refreshTimer.unref) this.refreshTimer.unref();
+};
+
+RemoteHandlebars.prototype.stopRefresh = function stopRefresh() {
+    if (this.refreshTimer) clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+};
+
+RemoteHandlebars.prototype.getHelpers = function getHelpers(helpersDir, options, callback) {
+    var self = this;
+
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    } else if (typeof helpersDir === 'function') {
+        callback = helpersDir;
+        options = null;
+        helpersDir = null;
+    }
+    helpersDir || (helpersDir = this.helpersDir);
+    options || (options = {});
+
+    if (!callback) return promise(function (done) { self.getHelpers(helpersDir, options, done); });
+    if (!helpersDir) throw new Error('RemoteHandlebars.getHelpers expects helpersDir or this.helpersDir');
+
+    if (typeof helpersDir === 'string') {
+        helpersDir = [helpersDir];
+    }
+
+    if (options.cache === false) {
+        return findHelpers(null, callback);
+    }
+    this.cacheForever.wrap('helpers:' + helpersDir.join(''), findHelpers, callback);
+
+    function findHelpers(key, done) {
+        if (self.watch && key) watchDirectories(self, key, helpersDir);
+        self.findHelpers(helpersDir, done);
+    }
 };
 
 RemoteHandlebars.prototype.compile = function compile(template) {
-    return this.handlebars.compile(template);
+    var compiled = this.handlebars.compile(template, this.compileOptions);
+
+    // Layouts declare their parent layout using {{!< name or URL}}
+    var parent = parentLayout(template);
+    if (parent) compiled.parentLayout = parent;
+
+    return compiled;
 };
 
-RemoteHandlebars.prototype.requestTemplate = function requestTemplate(url, callback) {
+RemoteHandlebars.prototype.precompile = function precompile(dirs, bundlePath, callback) {
     var self = this;
-    self.request(url, function (error, response, body) {
+
+    if (!callback) return promise(function (done) { self.precompile(dirs, bundlePath, done); });
+    if (!dirs) throw new Error('RemoteHandlebars.precompile expects dirs');
+    if (!bundlePath) throw new Error('RemoteHandlebars.precompile expects bundlePath');
+
+    if (typeof dirs === 'string') {
+        dirs = [dirs];
+    }
+    var bundleDir = path.dirname(path.resolve(bundlePath));
+    var bundle = { templates: {} };
+
+    async.each(dirs, function (dir, nextDir) {
+        glob('**/*.{handlebars,hbs}', {cwd: dir}, function (error, files) {
+            if (error) return nextDir(error);
+            async.each(files, function (file, nextFile) {
+                var filePath = path.resolve(dir, file);
+                fs.readFile(filePath, 'utf8', function (error, content) {
+                    if (error) return nextFile(error);
+                    var entry = {};
+                    try {
+                        entry.spec = self.handlebars.precompile(content, self.compileOptions);
+                    } catch (compileError) {
+                        error = new Error('Failed to compile template \'' + filePath + '\': ' + compileError.message);
+                        error.filePath = filePath;
+                        return nextFile(error);
+                    }
+                    var parent = parentLayout(content);
+                    if (parent) entry.parentLayout = parent;
+
+                    // Paths relative to bundle so it can be built on one machine and deployed to another
+                    bundle.templates[path.relative(bundleDir, filePath).split(path.sep).join('/')] = entry;
+                    nextFile();
+                });
+            }, nextDir);
+        });
+    }, function (error) {
         if (error) return callback(error);
-        if (response.statusCode >= 400) return callback(new Error('HTTP status code \''+response.statusCode+'\' received'));
-        var template = self.compile(body);
-        var cacheControl = response.headers['cache-control'];
-        callback(null, template, cacheControl);
+        fs.writeFile(bundlePath, JSON.stringify(bundle), 'utf8', function (error) {
+            if (error) return callback(error);
+            callback(null, bundle);
+        });
     });
 };
 
+RemoteHandlebars.prototype.loadBundle = function loadBundle(bundlePath, callback) {
+    var self = this;
+
+    if (typeof bundlePath === 'function') {
+        callback = bundlePath;
+        bundlePath = null;
+    }
+    bundlePath || (bundlePath = this.bundle);
+
+    if (!callback) return promise(function (done) { self.loadBundle(bundlePath, done); });
+    if (!bundlePath) throw new Error('RemoteHandlebars.loadBundle expects bundlePath or this.bundle');
+
+    var bundleDir = path.dirname(path.resolve(bundlePath));
+    fs.readFile(bundlePath, 'utf8', function (error, content) {
+        if (error) return callback(error);
+        var loaded = {};
+        try {
+            var templates = JSON.parse(content).templates || {};
+            Object.keys(templates).forEach(function (file) {
+                var template = loadPrecompiled(self, templates[file].spec);
+                if (templates[file].parentLayout) template.parentLayout = templates[file].parentLayout;
+                loaded[path.resolve(bundleDir, file)] = template;
+            });
+        } catch (e) {
+            return callback(e);
+        }
+        extend(self.precompiled, loaded);
+        callback(null, Object.keys(loaded));
+    });
+};
+
+RemoteHandlebars.prototype.requestTemplate = function requestTemplate(url, previous, callback) {
+    var self = this;
+
+    if (typeof previous === 'function') {
+        callback = previous;
+        previous = null;
+    }
+    if (typeof url === 'string') {
+        url = {url: url};
+    }
+
+    var error = checkHost(self, url);
+    if (error) return callback(error);
+
+    // Revalidate previous response if possible
+    if (previous && (previous.etag || previous.lastModified)) {
+        url = extend({}, url, {headers: extend({}, url.headers)});
+        if (previous.etag) url.headers['If-None-Match'] = previous.etag;
+        if (previous.lastModified) url.headers['If-Modified-Since'] = previous.lastModified;
+    }
+
+    var start = Date.now();
+    instrument(self, 'fetch:start', { url: url.url });
+
+    fetch(self, url, function (error, response, body) {
+        if (!error && response.statusCode >= 400) error = new Error('HTTP status code \''+response.statusCode+'\' received');
+        if (!error && response.statusCode !== 304) error = checkResponse(self, url, response, body);
+        instrument(self, 'fetch:end', {
+            url: url.url,
+            status: response ? response.statusCode : null,
+            duration: Date.now() - start,
+            bytes: body ? Buffer.byteLength(body) : 0,
+            error: error || undefined
+        });
+        if (error) return callback(error);
+
+        var metadata = {
+            cacheControl: response.headers['cache-control'],
+            etag: response.headers['etag'],
+            lastModified: response.headers['last-modified'],
+            vary: response.headers['vary']
+        };
+
+        // Not modified, reuse compiled template and only refresh its cache lifetime
+        if (response.statusCode === 304) {
+            if (!previous) return callback(new Error('HTTP status code \'304\' received without previous response'));
+            metadata.cacheControl || (metadata.cacheControl = previous.cacheControl);
+            metadata.etag || (metadata.etag = previous.etag);
+            metadata.lastModified || (metadata.lastModified = previous.lastModified);
+            metadata.vary || (metadata.vary = previous.vary);
+            metadata.template = previous.template;
+            metadata.source = previous.source;
+            metadata.contentType = previous.contentType;
+        } else {
+            var compileStart = Date.now();
+            try {
+                metadata.template = compileRemote(self, url, body, response.headers['content-type']);
+            } catch (error) {
+                return callback(error);
+            }
+            metadata.source = body;
+            metadata.contentType = response.headers['content-type'];
+            instrument(self, 'compile', { url: url.url, duration: Date.now() - compileStart });
+        }
+
+        callback(null, metadata.template, metadata.cacheControl, metadata);
+    });
+};
+
+RemoteHandlebars.prototype.loadSnapshots = function loadSnapshots(snapshotDir, callback) {
+    var self = this;
+
+    if (typeof snapshotDir === 'function') {
+        callback = snapshotDir;
+        snapshotDir = null;
+    }
+    snapshotDir || (snapshotDir = this.snapshotDir);
+
+    if (!callback) return promise(function (done) { self.loadSnapshots(snapshotDir, done); });
+    if (!snapshotDir) throw new Error('RemoteHandlebars.loadSnapshots expects snapshotDir or this.snapshotDir');
+
+    glob('*.json', {cwd: snapshotDir}, function (error, files) {
+        if (error) return callback(error);
+        async.each(files, function (file, nextFile) {
+            fs.readFile(path.resolve(snapshotDir, file), 'utf8', function (error, content) {
+                if (!error) {
+                    try {
+                        restoreSnapshot(self, JSON.parse(content));
+                    } catch (e) {
+                        error = e;
+                    }
+                }
+                // Corrupt snapshots must not prevent others from loading
+                if (error) report(self, error);
+                nextFile();
+            });
+        }, callback);
+    });
+};
+
+RemoteHandlebars.prototype.saveSnapshot = function saveSnapshot(key, url, metadata, callback) {
+    var self = this;
+    callback || (callback = function (error) {
+        if (error) report(self, error);
+    });
+
+    if (!this.snapshotDir) throw new Error('RemoteHandlebars.saveSnapshot expects this.snapshotDir');
+
+    // Responses meant for one user only must not end up on disk
+    if (/no-store|private/i.test(metadata.cacheControl || '')) return callback(null);
+
+    var snapshot = JSON.stringify({
+        key: key,
+        url: { url: url.url, headers: persistedHeaders(this, url) },
+        fetchedAt: metadata.fetchedAt,
+        maxAge: parseCacheControl(metadata.cacheControl).maxAge,
+        cacheControl: metadata.cacheControl,
+        etag: metadata.etag,
+        lastModified: metadata.lastModified,
+        vary: metadata.vary,
+        contentType: metadata.contentType,
+        source: metadata.source
+    });
+    var filePath = snapshotPath(this, key);
+    var tmpPath = filePath + '.' + process.pid + '.tmp';
+
+    fs.mkdir(this.snapshotDir, function (error) {
+        if (error && error.code !== 'EEXIST') return callback(error);
+        fs.writeFile(tmpPath, snapshot, 'utf8', function (error) {
+            if (error) return callback(error);
+            fs.rename(tmpPath, filePath, callback);
+        });
+    });
+};
+
+RemoteHandlebars.prototype.inspect = function inspect() {
+    var self = this;
+    var now = Date.now();
+
+    var remote = this.cache.keys().filter(function (key) {
+        return self.cache.has(key);
+    }).map(function (key) {
+        var metadata = self.metadata.get(key) || {};
+        var cacheControl = parseCacheControl(metadata.cacheControl);
+        var maxAge = ('maxAge' in cacheControl) ? cacheControl.maxAge : self.maxAge;
+        var age = metadata.fetchedAt ? (now - metadata.fetchedAt) / 1000 : null;
+        return {
+            key: key,
+            type: 'remote',
+            url: metadata.url ? metadata.url.url : key,
+            age: age,
+            maxAge: (typeof maxAge === 'number') ? maxAge : null,
+            remaining: (typeof maxAge === 'number' && age !== null) ? Math.max(0, maxAge - age) : null,
+            stale: self.cache.isStale(key)
+        };
+    });
+
+    var local = this.cacheForever.keys().map(function (key) {
+        return { key: key, type: 'local', age: null, maxAge: null, remaining: null, stale: false };
+    });
+
+    return remote.concat(local);
+};
+
+RemoteHandlebars.prototype.purge = function purge(pattern) {
+    var self = this;
+
+    if (!pattern) throw new Error('RemoteHandlebars.purge expects URL or pattern');
+
+    var keys = matchKeys(this, pattern);
+    keys.forEach(function (key) {
+        self.cache.delete(key);
+        self.metadata.delete(key);
+        if (self.snapshotDir) removeSnapshot(self, key);
+    });
+    return keys;
+};
+
+RemoteHandlebars.prototype.purgeAll = function purgeAll() {
+    var self = this;
+    var keys = uniqueKeys(this);
+    if (this.snapshotDir) keys.forEach(function (key) {
+        removeSnapshot(self, key);
+    });
+    keys = keys.concat(this.cacheForever.keys());
+    this.cache.reset();
+    this.fragments.reset();
+    this.metadata.reset();
+    this.cacheForever.reset();
+    return keys;
+};
+
+RemoteHandlebars.prototype.refresh = function refresh(pattern, callback) {
+    var self = this;
+
+    if (!callback) return promise(function (done) { self.refresh(pattern, done); });
+    if (!pattern) throw new Error('RemoteHandlebars.refresh expects URL or pattern');
+
+    var keys = matchKeys(this, pattern).filter(function (key) {
+        return self.metadata.has(key);
+    });
+    async.each(keys, function (key, next) {
+        // Cached template is kept if refreshing fails
+        var work = fetchTemplate(self, self.metadata.get(key).url);
+        work(key, function (error, template, options) {
+            if (error) return next(error);
+            if (!options || typeof options === 'string') options = parseCacheControl(options);
+            options.revalidate = work;
+            self.cache.set(key, template, options);
+            next();
+        });
+    }, function (error) {
+        if (error) return callback(error);
+        callback(null, keys);
+    });
+};
+
+RemoteHandlebars.prototype.adminRouter = function adminRouter() {
+    var self = this;
+    return function (req, res, next) {
+        var parsed = parseUrl(req.url, true);
+        var query = parsed.query;
+        var route = req.method + ' ' + parsed.pathname.replace(/\/$/, '');
+
+        // Query comes from outside, so patterns are wildcards matched in linear time rather than regular expressions
+        var pattern = query.url;
+        if (!pattern && query.pattern) {
+            if (typeof query.pattern !== 'string' || query.pattern.length > 2048) {
+                return send(400, { error: 'Expected pattern of up to 2048 characters' });
+            }
+            pattern = wildcard(query.pattern);
+        }
+        if (pattern && typeof pattern !== 'string' && typeof pattern !== 'function') {
+            return send(400, { error: 'Expected single url query parameter' });
+        }
+
+        if (route === 'GET /cache') return send(200, { entries: self.inspect() });
+        if (route === 'GET /breakers') return send(200, { breakers: self.breakers() });
+        if (route === 'POST /cache/purge') {
+            if (pattern) return send(200, { purged: self.purge(pattern) });
+            if (query.all === '1') return send(200, { purged: self.purgeAll() });
+            return send(400, { error: 'Expected url or pattern query parameter, or all=1 to purge everything' });
+        }
+        if (route === 'POST /cache/refresh') {
+            if (!pattern) return send(400, { error: 'Expected url or pattern query parameter' });
+            return self.refresh(pattern, function (error, keys) {
+                if (error) return send(502, { error: error.message });
+                send(200, { refreshed: keys });
+            });
+        }
+        next();
+
+        function send(statusCode, body) {
+            res.statusCode = statusCode;
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify(body));
+        }
+    };
+};
+
+RemoteHandlebars.prototype.breakers = function breakers() {
+    var self = this;
+    var now = Date.now();
+    var breakers = {};
+    Object.keys(this.breakerState).forEach(function (host) {
+        var breaker = self.breakerState[host];
+        var since = (breaker.state === 'half-open') ? breaker.trialAt : breaker.openedAt;
+        var retryAt = since ? since + self.breakerCooldown * 1000 : null;
+        breakers[host] = {
+            state: (breaker.state === 'open' && retryAt <= now) ? 'half-open' : breaker.state,
+            failures: breaker.failures,
+            openedAt: breaker.openedAt,
+            retryAt: retryAt
+        };
+    });
+    return breakers;
+};
+
+RemoteHandlebars.prototype.stats = function stats() {
+    return JSON.parse(JSON.stringify(this.statistics));
+};
+
+RemoteHandlebars.prototype.unwatch = function unwatch() {
+    for (var watched in this.watchers) this.watchers[watched].close();
+    this.watchers = {};
+};
+
 RemoteHandlebars.prototype.readTemplate = function readTemplate(filePath, callback) {
     var self = this;
+
+    // Sources are read again in watch mode since bundle would hide changes
+    if (!self.watch && self.precompiled[filePath]) return callback(null, self.precompiled[filePath]);
+
     fs.readFile(filePath, 'utf8', function (error, content) {
         if (error) return callback(error);
-        var template = self.compile(content.toString());
+        content = content.toString();
+
+        // Handlebars compiles lazily, parse up front so broken files fail here, where they can be told apart and degraded
+        try {
+            self.handlebars.parse(content);
+        } catch (parseError) {
+            error = new Error('Failed to compile template \'' + filePath + '\': ' + parseError.message);
+            error.filePath = filePath;
+            return callback(error);
+        }
+
+        var start = Date.now();
+        var template = self.compile(content);
+        instrument(self, 'compile', { filePath: filePath, duration: Date.now() - start });
         callback(null, template);
     });
 };
 
-RemoteHandlebars.prototype.findTemplates = function findTemplates(paths, callback) {
+RemoteHandlebars.prototype.findHelpers = function findHelpers(paths, callback) {
     var self = this;
+    async.reduce(paths, {}, function (helpers, dir, nextDir) {
+        glob('**/*.js', {cwd: dir}, function (error, files) {
+            if (error) return nextDir(error);
+            try {
+                files.sort().forEach(function (file) {
+                    var filePath = path.resolve(dir, file);
+
+                    // Pick up changes in watch mode
+                    if (self.watch) delete require.cache[filePath];
+
+                    // Modules export either one helper named after the file or an object of helpers
+                    var exported = require(filePath);
+                    if (typeof exported === 'function') {
+                        helpers[file.replace(/\.js$/, '')] = exported;
+                    } else {
+                        extend(helpers, exported);
+                    }
+                });
+            } catch (error) {
+                return nextDir(error);
+            }
+            nextDir(null, helpers);
+        });
+    }, callback);
+};
+
+RemoteHandlebars.prototype.findTemplates = function findTemplates(paths, onError, callback) {
+    var self = this;
+    if (!callback) {
+        callback = onError;
+        onError = null;
+    }
     async.reduce(paths, {}, function (templates, dir, nextDir) {
         glob('**/*.{handlebars,hbs}', {cwd: dir}, function (error, files) {
             if (error) return nextDir(error);
             async.each(files, function (file, nextFile) {
                 var filePath = path.resolve(dir, file);
+                var name = file.replace(/\.(handlebars|hbs)$/, '');
                 self.readTemplate(filePath, function (error, template) {
+                    if (error && onError) {
+                        template = onError(error, name);
+                        if (template) error = null;
+                    }
                     if (error) return nextFile(error);
-                    var name = file.replace(/\.(handlebars|hbs)$/, '');
                     templates[name] = template;
                     nextFile();
                 });
@@ -207,6 +1065,895 @@ RemoteHandlebars.prototype.findTemplates = function findTemplates(paths, callbac
     }, callback);
 };
 
+// Rejects templates from hosts not allowed
+function checkHost(self, url) {
+    if (!self.allowedHosts) return null;
+    var parsed = parseUrl(url.url);
+    if (self.allowedHosts.indexOf(parsed.host) !== -1 || self.allowedHosts.indexOf(parsed.hostname) !== -1) return null;
+    return new HostNotAllowedError('Host \'' + parsed.host + '\' is not allowed', url.url);
+}
+
+// Requests remote fragment as is, without compiling it
+function fetchFragment(self, url, key, callback) {
+    var error = checkHost(self, url);
+    if (error) return callback(error);
+
+    var start = Date.now();
+    if (key && self.fragments.has(key)) instrument(self, 'cache:revalidate', { key: key });
+    instrument(self, 'fetch:start', { url: url.url });
+
+    fetch(self, url, function (error, response, body) {
+        if (!error && response.statusCode >= 400) error = new Error('HTTP status code \''+response.statusCode+'\' received');
+        instrument(self, 'fetch:end', {
+            url: url.url,
+            status: response ? response.statusCode : null,
+            duration: Date.now() - start,
+            bytes: body ? Buffer.byteLength(body) : 0,
+            error: error || undefined
+        });
+        if (error) return callback(error);
+        callback(null, String(body), response.headers['cache-control']);
+    });
+}
+
+// Rejects responses which are too large or of the wrong type
+function checkResponse(self, url, response, body) {
+    if (self.maxBodySize) {
+        var size = body ? Buffer.byteLength(body) : 0;
+        var contentLength = parseInt(response.headers['content-length'], 10);
+        if (contentLength > size) size = contentLength;
+        if (size > self.maxBodySize) {
+            return new BodyTooLargeError('Body of ' + size + ' bytes exceeds maximum of ' + self.maxBodySize + ' bytes', url.url);
+        }
+    }
+    if (self.validateContentType) {
+        var contentType = mimeType(response.headers['content-type']);
+        if (self.contentTypes.indexOf(contentType) === -1) {
+            return new ContentTypeError('Content type \'' + contentType + '\' is not one of ' + self.contentTypes.join(', '), url.url);
+        }
+    }
+    return null;
+}
+
+// Handlebars compiles lazily, parse remote templates up front, or precompile them to reject what compile options do not allow
+function compileRemote(self, url, body, contentType) {
+    if (isEnvelope(contentType)) return compileEnvelope(self, url, body);
+    if (isPrecompiled(contentType)) {
+        if (!self.allowPrecompiled) {
+            throw new ContentTypeError('Content type \'application/x-handlebars-precompiled\' is not allowed without allowPrecompiled', url.url);
+        }
+        try {
+            return loadPrecompiled(self, body);
+        } catch (error) {
+            throw new TemplateCompileError('Failed to load precompiled template: ' + error.message, url.url);
+        }
+    }
+    try {
+        if (self.compileOptions) self.handlebars.precompile(body, self.compileOptions);
+        else self.handlebars.parse(body);
+    } catch (error) {
+        throw new TemplateCompileError('Failed to compile template: ' + error.message, url.url);
+    }
+    return self.compile(body);
+}
+
+// JSON envelope carries template together with its data and partials, cached as properties of compiled template
+function compileEnvelope(self, url, body) {
+    var envelope;
+    try {
+        envelope = JSON.parse(body);
+    } catch (error) {
+        throw new TemplateCompileError('Failed to parse template envelope: ' + error.message, url.url);
+    }
+    if (!envelope || typeof envelope.template !== 'string') {
+        throw new TemplateCompileError('Template envelope expects template string', url.url);
+    }
+
+    var template = compileRemote(self, url, envelope.template);
+    template.data = envelope.data;
+    template.partials = {};
+    Object.keys(envelope.partials || {}).forEach(function (name) {
+        template.partials[name] = compileRemote(self, url, envelope.partials[name]);
+    });
+    return template;
+}
+
+function isEnvelope(contentType) {
+    return mimeType(contentType) === 'application/json';
+}
+
+function isPrecompiled(contentType) {
+    return mimeType(contentType) === 'application/x-handlebars-precompiled';
+}
+
+function mimeType(contentType) {
+    return (contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+// Precompiled specs are JavaScript object literals as returned by handlebars.precompile
+function loadPrecompiled(self, spec) {
+    return self.handlebars.template(new Function('return ' + spec)());
+}
+
+function parentLayout(template) {
+    var parent = /^\s*\{\{!<\s*(\S+?)\s*\}\}/.exec(template);
+    return parent ? parent[1] : null;
+}
+
+// Requests remote template with timeout, retries and circuit breaker of its host
+function fetch(self, url, callback) {
+    if (typeof url === 'string') {
+        url = {url: url};
+    }
+    if (self.timeout && !('timeout' in url)) {
+        url = extend({}, url, {timeout: self.timeout});
+    }
+
+    if (self.fixturesMode === 'replay') return replay(self, url, callback);
+
+    var host = parseUrl(url.url).host;
+    var breaker = self.breakerThreshold && (self.breakerState[host] || (self.breakerState[host] = { state: 'closed', failures: 0, openedAt: null, trialAt: null }));
+    var trial = false;
+
+    // Fail fast while breaker is open, let one trial request through per cooldown so a hanging trial can not block the host
+    if (breaker && breaker.state !== 'closed') {
+        var since = (breaker.state === 'half-open') ? breaker.trialAt : breaker.openedAt;
+        if (Date.now() < since + self.breakerCooldown * 1000) {
+            return callback(new CircuitOpenError('Circuit breaker open for host \'' + host + '\'', url.url));
+        }
+        breaker.state = 'half-open';
+        breaker.trialAt = Date.now();
+        trial = true;
+    }
+
+    attempt(0);
+
+    function attempt(retry) {
+        var aborted = false;
+        var req = self.request(url, function (error, response, body) {
+            if (aborted) return;
+            var failed = !!error || response.statusCode >= 500;
+            if (failed && !trial && retry < self.retries) {
+                instrument(self, 'fetch:retry', { url: url.url, attempt: retry + 1, error: error || undefined });
+                return setTimeout(function () {
+                    attempt(retry + 1);
+                }, self.retryDelay * Math.pow(2, retry));
+            }
+            if (breaker) trip(failed);
+            if (!error && self.fixturesMode === 'record') record(self, url, response, body);
+            callback(error, response, body);
+        });
+
+        // Stop reading bodies over the limit instead of buffering them, if request function returns a stream
+        if (!self.maxBodySize || !req || typeof req.on !== 'function') return;
+        var size = 0;
+        req.on('response', function (response) {
+            var contentLength = parseInt(response.headers['content-length'], 10);
+            if (contentLength > self.maxBodySize) abort(contentLength);
+        });
+        req.on('data', function (chunk) {
+            size += chunk.length;
+            if (size > self.maxBodySize) abort(size);
+        });
+
+        function abort(size) {
+            if (aborted) return;
+            aborted = true;
+            if (typeof req.abort === 'function') req.abort();
+            if (breaker) trip(false);
+            callback(new BodyTooLargeError('Body of ' + size + ' bytes exceeds maximum of ' + self.maxBodySize + ' bytes', url.url));
+        }
+    }
+
+    function trip(failed) {
+        if (!failed) {
+            if (breaker.state !== 'closed') instrument(self, 'breaker:close', { host: host });
+            breaker.state = 'closed';
+            breaker.failures = 0;
+            breaker.openedAt = null;
+            breaker.trialAt = null;
+            return;
+        }
+        breaker.failures++;
+        if (breaker.state === 'half-open' || breaker.failures >= self.breakerThreshold) {
+            breaker.state = 'open';
+            breaker.openedAt = Date.now();
+            instrument(self, 'breaker:open', { host: host, failures: breaker.failures });
+        }
+    }
+}
+
+// Persists response to fixtures directory, one file per URL holding a variant per value of the headers it varies on
+function record(self, url, response, body) {
+    // Not modified responses carry no body to replay
+    if (response.statusCode === 304) return;
+
+    var names = ['accept'].concat(self.varyHeaders, varyNames(response.headers['vary']));
+    var headers = extend({}, response.headers);
+    delete headers['set-cookie'];
+    var variant = {
+        request: { headers: pickHeaders(url.headers, names) },
+        response: { statusCode: response.statusCode, headers: headers, body: body }
+    };
+
+    // Variants of one URL are read and written back in turn so none get lost
+    self.recorder || (self.recorder = async.queue(function (task, done) {
+        writeRecording(self, task.url, task.variant, done);
+    }, 1));
+    self.recorder.push({ url: url, variant: variant });
+}
+
+function writeRecording(self, url, variant, callback) {
+    var filePath = recordingPath(self, url);
+    var tmpPath = filePath + '.' + process.pid + '.tmp';
+
+    fs.readFile(filePath, 'utf8', function (error, content) {
+        var recording = { url: url.url, variants: [] };
+        if (!error) {
+            try {
+                recording = JSON.parse(content);
+            } catch (e) {
+                // Replace corrupt recording
+            }
+        }
+        // Start over if recording is not in the format of variants, e.g. null or a single response
+        if (!isRecording(recording)) recording = { url: url.url, variants: [] };
+        var key = JSON.stringify(variant.request.headers);
+        recording.variants = recording.variants.filter(function (recorded) {
+            return JSON.stringify(recorded.request.headers) !== key;
+        }).concat(variant);
+
+        fs.mkdir(self.fixturesDir, function (error) {
+            if (error && error.code !== 'EEXIST') return done(error);
+            fs.writeFile(tmpPath, JSON.stringify(recording, null, 2), 'utf8', function (error) {
+                if (error) return done(error);
+                fs.rename(tmpPath, filePath, done);
+            });
+        });
+    });
+
+    function done(error) {
+        if (error) report(self, error);
+        else instrument(self, 'record', { url: url.url, filePath: filePath });
+        callback();
+    }
+}
+
+// Serves recorded response as if it had been received from remote
+function replay(self, url, callback) {
+    var filePath = recordingPath(self, url);
+    fs.readFile(filePath, 'utf8', function (error, content) {
+        if (error && error.code === 'ENOENT') return notFound('');
+        if (error) return callback(error);
+        var recording;
+        try {
+            recording = JSON.parse(content);
+        } catch (e) {
+            return callback(e);
+        }
+        if (!isRecording(recording)) return callback(new Error('Recording \'' + filePath + '\' of \'' + url.url + '\' has no variants'));
+
+        // Pick variant recorded with the same values of the headers it varies on
+        var requested = pickHeaders(url.headers);
+        var variant = recording.variants.filter(function (variant) {
+            return Object.keys(variant.request.headers).every(function (name) {
+                return requested[name] === variant.request.headers[name];
+            });
+        })[0];
+        if (!variant) return notFound(' with matching request headers');
+        callback(null, { statusCode: variant.response.statusCode, headers: variant.response.headers }, variant.response.body);
+    });
+
+    function notFound(detail) {
+        callback(new RecordingNotFoundError('No recording of \'' + url.url + '\'' + detail + ' in \'' + self.fixturesDir + '\'', url.url));
+    }
+}
+
+function isRecording(recording) {
+    return !!recording && Array.isArray(recording.variants) && recording.variants.every(function (variant) {
+        return !!variant && !!variant.request && !!variant.request.headers && !!variant.response;
+    });
+}
+
+function recordingPath(self, url) {
+    return path.resolve(self.fixturesDir, crypto.createHash('sha1').update(url.url).digest('hex') + '.json');
+}
+
+// Updates statistics and emits instrumentation event
+function instrument(self, name, data) {
+    var stats = self.statistics;
+    switch (name) {
+        case 'fetch:end':
+            stats.fetches.count++;
+            if (data.error) stats.fetches.errors++;
+            stats.fetches.bytes += data.bytes;
+            stats.fetches.duration += data.duration;
+            break;
+        case 'cache:hit':
+        case 'cache:miss':
+        case 'cache:stale':
+        case 'cache:revalidate':
+            stats.cache[name.slice(6)]++;
+            break;
+        case 'compile':
+            stats.compiles.count++;
+            stats.compiles.duration += data.duration;
+            break;
+        case 'render':
+            stats.renders.count++;
+            if (data.error) stats.renders.errors++;
+            stats.renders.duration += data.duration;
+            break;
+    }
+    self.emit(name, data);
+}
+
+// Reports errors recovered from or occurring in the background
+function report(self, error) {
+    self.statistics.errors++;
+    if (self.onError) self.onError(error);
+    if (self.listeners('error').length) self.emit('error', error);
+}
+
+// Remote template cache keys matching URL (including all variants) or regular expression
+function matchKeys(self, pattern) {
+    return uniqueKeys(self).filter(function (key) {
+        if (pattern instanceof RegExp) return pattern.test(key);
+        if (typeof pattern === 'function') return pattern(key);
+        return key === pattern || key.indexOf(pattern + '|') === 0;
+    });
+}
+
+// Matches keys against pattern in which * stands for any characters, without backtracking
+function wildcard(pattern) {
+    return function (key) {
+        var p = 0, k = 0, star = -1, mark = 0;
+        while (k < key.length) {
+            if (pattern[p] === '*') {
+                star = p++;
+                mark = k;
+            } else if (p < pattern.length && pattern[p] === key[k]) {
+                p++;
+                k++;
+            } else if (star !== -1) {
+                p = star + 1;
+                k = ++mark;
+            } else {
+                return false;
+            }
+        }
+        while (pattern[p] === '*') p++;
+        return p === pattern.length;
+    };
+}
+
+function uniqueKeys(self) {
+    var keys = self.cache.keys();
+    self.metadata.keys().forEach(function (key) {
+        if (keys.indexOf(key) === -1) keys.push(key);
+    });
+    return keys;
+}
+
+function snapshotPath(self, key) {
+    return path.resolve(self.snapshotDir, crypto.createHash('sha1').update(key).digest('hex') + '.json');
+}
+
+function removeSnapshot(self, key) {
+    fs.unlink(snapshotPath(self, key), function (error) {
+        if (error && error.code !== 'ENOENT') report(self, error);
+    });
+}
+
+// Evicts view from cache once its file changes
+function watchView(self, filePath) {
+    if (self.watchers[filePath]) return;
+    try {
+        self.watchers[filePath] = fs.watch(filePath, { persistent: false }, function () {
+            // File may have been replaced, watch again once view is read again
+            self.watchers[filePath].close();
+            delete self.watchers[filePath];
+            self.cacheForever.delete(filePath);
+        });
+    } catch (error) {
+        // Missing file is reported by readTemplate
+    }
+}
+
+// Evicts partial or helper set from cache once a file is added, changed or deleted in any of its directories
+function watchDirectories(self, key, dirs) {
+    dirs.forEach(function (dir) {
+        glob('**/', { cwd: dir }, function (error, subdirs) {
+            if (error) return;
+            subdirs.concat('.').forEach(function (subdir) {
+                var watched = path.resolve(dir, subdir);
+                var watcher = self.watchers[watched];
+                if (!watcher) {
+                    try {
+                        watcher = self.watchers[watched] = fs.watch(watched, { persistent: false }, function () {
+                            watcher.keys.forEach(function (key) {
+                                self.cacheForever.delete(key);
+                            });
+                        });
+                    } catch (error) {
+                        return;
+                    }
+                    watcher.keys = [];
+                }
+                if (watcher.keys.indexOf(key) === -1) watcher.keys.push(key);
+            });
+        });
+    });
+}
+
+// Returns cache worker which requests a remote template and keeps its metadata
+function fetchTemplate(self, url) {
+    return function requestTemplate(key, done) {
+        var previous = self.metadata.get(key);
+        if (self.cache.has(key)) instrument(self, 'cache:revalidate', { key: key });
+        self.requestTemplate(url, previous, function (error, template, cacheControl, metadata) {
+            if (error) return staleIfError(error, previous);
+            metadata.fetchedAt = Date.now();
+            metadata.url = url;
+
+            // Response may vary on request headers the cache key did not account for yet
+            learnVary(self, url.url, metadata.vary);
+            if (metadata.vary === '*') return done(null, template, { maxAge: 0, staleWhileRevalidate: 0 });
+            var varyKey = cacheKey(self, url);
+
+            self.metadata.set(varyKey, metadata);
+            if (self.snapshotDir) self.saveSnapshot(varyKey, url, metadata);
+            if (varyKey === key) return done(null, template, cacheControl);
+
+            var options = parseCacheControl(cacheControl);
+            options.revalidate = requestTemplate;
+            self.cache.set(varyKey, template, options);
+            done(null, template, { maxAge: 0, staleWhileRevalidate: 0 });
+        });
+
+        // Keep serving last good template within stale-if-error window
+        function staleIfError(error, previous) {
+            var remaining = previous ? staleIfErrorRemaining(self, previous) : 0;
+            if (remaining <= 0) return done(error);
+            error.url = url.url;
+            report(self, error);
+            done(null, previous.template, { maxAge: 0, staleWhileRevalidate: remaining });
+        }
+    };
+}
+
+// Cache key of remote template including request headers it varies on
+// Until a response tells which headers matter all of them are taken into account
+function cacheKey(self, url) {
+    var headers = {};
+    for (var name in url.headers) headers[name.toLowerCase()] = url.headers[name];
+
+    var varies = self.varies[url.url] || Object.keys(headers);
+    var names = self.varyHeaders.concat(varies);
+    if (!names.length) return url.url;
+
+    var seen = {};
+    var key = url.url;
+    names.sort().forEach(function (name) {
+        if (seen[name]) return;
+        seen[name] = true;
+        key += '|' + name + '=' + (headers[name] || '');
+    });
+    return key;
+}
+
+// Request headers safe to persist, leaving out credentials such as Cookie or Authorization
+function persistedHeaders(self, url) {
+    return pickHeaders(url.headers, ['accept'].concat(self.varyHeaders, self.varies[url.url] || []));
+}
+
+// Lowercased request headers, only those named if names are given
+function pickHeaders(headers, names) {
+    var picked = {};
+    Object.keys(headers || {}).sort().forEach(function (name) {
+        if (!names || names.indexOf(name.toLowerCase()) !== -1) picked[name.toLowerCase()] = headers[name];
+    });
+    return picked;
+}
+
+function varyNames(vary) {
+    if (!vary || vary === '*') return [];
+    return vary.toLowerCase().split(',').map(function (name) {
+        return name.trim();
+    }).filter(Boolean);
+}
+
+// Remembers request headers named in Vary response header
+function learnVary(self, url, vary) {
+    if (vary === '*') return;
+    var names = self.varies[url] || (self.varies[url] = []);
+    if (!vary) return;
+    vary.toLowerCase().split(',').forEach(function (name) {
+        name = name.trim();
+        if (name && names.indexOf(name) === -1) names.push(name);
+    });
+}
+
+// Puts snapshot back into cache for the remainder of its lifetime
+function restoreSnapshot(self, snapshot) {
+    learnVary(self, snapshot.url.url, snapshot.vary);
+
+    var previous = self.metadata.get(snapshot.key);
+    if (previous && previous.fetchedAt >= snapshot.fetchedAt) return;
+
+    var metadata = {
+        template: compileRemote(self, snapshot.url, snapshot.source, snapshot.contentType),
+        source: snapshot.source,
+        contentType: snapshot.contentType,
+        cacheControl: snapshot.cacheControl,
+        etag: snapshot.etag,
+        lastModified: snapshot.lastModified,
+        vary: snapshot.vary,
+        url: snapshot.url,
+        fetchedAt: snapshot.fetchedAt
+    };
+    self.metadata.set(snapshot.key, metadata);
+
+    var cacheControl = parseCacheControl(snapshot.cacheControl);
+    var maxAge = ('maxAge' in cacheControl) ? cacheControl.maxAge : self.maxAge;
+    var staleWhileRevalidate = ('staleWhileRevalidate' in cacheControl) ? cacheControl.staleWhileRevalidate : self.staleWhileRevalidate;
+    if (typeof maxAge !== 'number') maxAge = Infinity;
+    staleWhileRevalidate || (staleWhileRevalidate = 0);
+
+    var age = (Date.now() - snapshot.fetchedAt) / 1000;
+    self.cache.set(snapshot.key, metadata.template, {
+        maxAge: Math.max(0, maxAge - age),
+        staleWhileRevalidate: staleWhileRevalidate - Math.max(0, age - maxAge),
+        revalidate: fetchTemplate(self, snapshot.url)
+    });
+}
+
+function parseCacheControl(header) {
+    var options = {};
+    if (header) {
+        header = header.toLowerCase();
+        var match = header.match(/(?:^|[\s,])max-age=(\d+)/);
+        if (match) options.maxAge = parseInt(match[1], 10);
+        match = header.match(/(?:^|[\s,])stale-while-revalidate=(\d+)/);
+        if (match) options.staleWhileRevalidate = parseInt(match[1], 10);
+        match = header.match(/(?:^|[\s,])stale-if-error=(\d+)/);
+        if (match) options.staleIfError = parseInt(match[1], 10);
+        if (/no-cache|no-store|private/.test(header)) options.maxAge = 0;
+    }
+    return options;
+}
+
+// Seconds left in which a template may be served after failed revalidation
+function staleIfErrorRemaining(self, metadata) {
+    var cacheControl = parseCacheControl(metadata.cacheControl);
+    var maxAge = ('maxAge' in cacheControl) ? cacheControl.maxAge : self.maxAge;
+    var staleIfError = ('staleIfError' in cacheControl) ? cacheControl.staleIfError : self.staleIfError;
+    if (!(staleIfError > 0)) return 0;
+    if (typeof maxAge !== 'number') maxAge = Infinity;
+    var expires = metadata.fetchedAt + (maxAge + staleIfError) * 1000;
+    return Math.floor((expires - Date.now()) / 1000);
+}
+
+// Resolves render options against instance defaults and prepares tasks for templates required
+function renderJob(self, filePath, options) {
+    var job = {
+        layout: ('layout' in options) ? options.layout : self.layout,
+        layoutResolver: ('layout' in options) ? (isResolver(options.layout) ? options.layout : null) : (options.layoutResolver || self.layoutResolver),
+        placeholder: options.placeholder || self.placeholder,
+        sections: options.sections || self.sections,
+        helpers: extend({}, self.helpers, options.helpers),
+        helpersDir: options.helpersDir || self.helpersDir,
+        partialsDir: options.partialsDir || self.partialsDir,
+        partials: options.partials || self.partials,
+        partialsPriority: options.partialsPriority || self.partialsPriority,
+        data: options.data,
+        collected: {},
+        includes: {},
+        layoutDataKey: self.layoutDataKey,
+        fragmentFallback: ('fragmentFallback' in options) ? options.fragmentFallback : self.fragmentFallback,
+        fragmentTimeout: options.fragmentTimeout || self.fragmentTimeout,
+        fallbackLayout: ('fallbackLayout' in options) ? options.fallbackLayout : self.fallbackLayout,
+        degradeLayout: ('degradeLayout' in options) ? options.degradeLayout : self.degradeLayout,
+        degradePartials: ('degradePartials' in options) ? options.degradePartials : self.degradePartials,
+        degraded: null,
+        tasks: {}
+    };
+
+    job.tasks.view = function viewTask(done) {
+        self.getView(filePath, options, done);
+    };
+    if (job.layout || job.layoutResolver) job.tasks.layouts = function layoutsTask(done) {
+        // Any failure of layout or its parents falls back to local layout, or to none if degradeLayout is set
+        var layout = isResolver(job.layout) ? job.layout : (job.layoutResolver ? null : job.layout);
+        layoutChain(self, layout, extend({}, options, { fallbackLayout: false }), function (error, layouts) {
+            if (!error || (!job.fallbackLayout && !job.degradeLayout)) return done(error, layouts);
+            error.url || (error.url = job.layout && (job.layout.url || job.layout));
+            degrade(self, job, 'layout', null, error);
+            if (!job.fallbackLayout) return done(null, null);
+            self.getView(job.fallbackLayout, options, function (error, template) {
+                if (error) return done(error);
+                layoutChain(self, template, options, done);
+            });
+        });
+    };
+    if (job.partialsDir) job.tasks.partials = function partialsTask(done) {
+        self.getPartials(job.partialsDir, job.degradePartials ? extend({}, options, { onPartialError: degradePartial }) : options, done);
+    };
+    if (job.partials) job.tasks.remotePartials = function remotePartialsTask(done) {
+        self.getRemotePartials(job.partials, job.degradePartials ? extend({}, options, { onPartialError: degradePartial }) : options, done);
+    };
+    if (job.helpersDir) job.tasks.helpers = function helpersTask(done) {
+        self.getHelpers(job.helpersDir, options, done);
+    };
+
+    // Renders partials named by degradePartials empty if they fail
+    function degradePartial(error, name) {
+        if (job.degradePartials !== true && job.degradePartials.indexOf(name) === -1) return null;
+        degrade(self, job, 'partials', name, error);
+        return self.handlebars.compile('');
+    }
+
+    return job;
+}
+
+function renderSettings(job, results) {
+    return {
+        helpers: extend({ contentFor: contentFor(job.collected), remoteInclude: remoteInclude(job) }, results.helpers, job.helpers),
+        partials: mergePartials(results.partials, extend({}, layoutPartials(results.layouts), results.remotePartials), job.partialsPriority),
+        data: job.data
+    };
+}
+
+// Resolves layout and the chain of parent layouts it declares, innermost first
+function layoutChain(self, layout, options, callback) {
+    var chain = [];
+    var visited = [];
+    next(layout);
+
+    // Layouts are told apart by name or URL since templates are compiled again when not cached
+    function next(layout) {
+        if (typeof layout === 'function' && !isResolver(layout)) return add(null, layout);
+        var reference = layout && (layout.url || layout);
+        if (reference && visited.indexOf(reference) !== -1) return callback(new Error('Circular parent layout \'' + reference + '\''));
+        if (reference) visited.push(reference);
+        self.getLayout(layout, options, add);
+    }
+
+    function add(error, template) {
+        if (error) return callback(error);
+        if (!template) return callback(null, chain.length ? chain : null);
+        if (chain.indexOf(template) !== -1) return callback(new Error('Circular parent layout \'' + template.parentLayout + '\''));
+        chain.push(template);
+        if (!template.parentLayout) return callback(null, chain);
+        next(template.parentLayout);
+    }
+}
+
+// Records what a render had to do without, reported once rendering has started
+function degrade(self, job, type, name, error) {
+    report(self, error);
+    job.degraded || (job.degraded = { layout: null, partials: {} });
+    if (type === 'layout') job.degraded.layout = error;
+    else job.degraded.partials[name] = error;
+}
+
+// Flags degraded render in render context and emits degrade event
+function flagDegraded(self, job, context, filePath) {
+    if (!job.degraded) return;
+    context.degraded = {
+        layout: !!job.degraded.layout,
+        partials: Object.keys(job.degraded.partials)
+    };
+    instrument(self, 'degrade', extend({ view: filePath }, job.degraded));
+}
+
+// Partials bundled with layouts, inner layouts winning over their parents
+function layoutPartials(layouts) {
+    var partials = {};
+    (layouts || []).slice().reverse().forEach(function (layout) {
+        extend(partials, layout.partials);
+    });
+    return partials;
+}
+
+// Data bundled with layouts is set last so application data can not shadow it
+function assignLayoutData(job, context, layouts) {
+    var data = null;
+    (layouts || []).slice().reverse().forEach(function (layout) {
+        if (layout.data) data = extend(data || {}, layout.data);
+    });
+    if (data) context[job.layoutDataKey] = data;
+}
+
+function applyLayouts(layouts, context, settings, placeholder, content) {
+    layouts.forEach(function (layout) {
+        context[placeholder] = content;
+        content = layout(context, settings);
+        // Resolvers passed as plain functions would otherwise send their URL as page
+        if (typeof content !== 'string') {
+            throw new Error('Layout returned ' + typeof content + ' instead of rendered template, wrap layout resolvers in resolver() or pass them as layoutResolver');
+        }
+    });
+    return content;
+}
+
+// Marks function as layout resolver so it can be passed as layout, any other function is used as template
+function resolver(fn) {
+    fn.layoutResolver = true;
+    return fn;
+}
+
+function isResolver(layout) {
+    return typeof layout === 'function' && layout.layoutResolver === true;
+}
+
+// Names of layouts in layoutsDir as opposed to URLs and request objects
+function isLocalLayout(layout) {
+    return typeof layout === 'string' && !/^[a-z][a-z0-9+.-]*:\/\//i.test(layout);
+}
+
+function getLocalLayout(self, name, options, callback) {
+    if (self.layoutPaths[name]) return self.getView(self.layoutPaths[name], options, callback);
+
+    // Names come from remote layouts and options too, so they must not reach files outside of layoutsDir
+    var root = path.resolve(self.layoutsDir);
+    var extension = path.extname(name);
+    var candidates = (extension === '.handlebars' || extension === '.hbs') ? [name] : [name + '.handlebars', name + '.hbs'];
+    var filePaths = candidates.map(function (candidate) {
+        return path.resolve(root, candidate);
+    });
+    var escapes = path.isAbsolute(name) || name.split(/[\\\/]/).indexOf('..') !== -1 || filePaths.some(function (filePath) {
+        return filePath.indexOf(root + path.sep) !== 0;
+    });
+    if (escapes) {
+        return callback(new Error('Layout \'' + name + '\' is outside of \'' + self.layoutsDir + '\''));
+    }
+
+    async.detectSeries(filePaths, function (filePath, found) {
+        fs.stat(filePath, function (error, stats) {
+            found(!error && stats.isFile());
+        });
+    }, function (filePath) {
+        if (!filePath) return callback(new Error('Layout \'' + name + '\' not found in \'' + self.layoutsDir + '\''));
+        self.layoutPaths[name] = filePath;
+        self.getView(filePath, options, callback);
+    });
+}
+
+// Block helper collecting named sections of a view for placeholders in layout
+function contentFor(sections) {
+    return function (name, options) {
+        sections[name] = (sections[name] || '') + options.fn(this);
+        return '';
+    };
+}
+
+// Leaves marker in place of remote fragment, resolved once rendering has finished
+function remoteInclude(job) {
+    var prefix = '\u001eremote-include-' + Math.random().toString(36).slice(2) + '-';
+    var count = 0;
+    return function (url, options) {
+        if (!url) throw new Error('remoteInclude expects url');
+        var marker = prefix + (count++) + '\u001e';
+        var fallback = options && options.hash && ('fallback' in options.hash) ? options.hash.fallback : job.fragmentFallback;
+        job.includes[marker] = { url: url, fallback: String(fallback) };
+        return new handlebars.SafeString(marker);
+    };
+}
+
+// Replaces markers of remote fragments in rendered output, fetching fragments in parallel
+function resolveIncludes(self, job, output, callback) {
+    var markers = Object.keys(job.includes).filter(function (marker) {
+        return output.indexOf(marker) !== -1;
+    });
+    if (!markers.length) return callback(null, output);
+
+    async.each(markers, function (marker, next) {
+        var include = job.includes[marker];
+        var finished = false;
+        var timer = job.fragmentTimeout && setTimeout(function () {
+            var error = new Error('Timed out after ' + job.fragmentTimeout + 'ms including fragment \'' + include.url + '\'');
+            error.code = 'ETIMEDOUT';
+            done(error);
+        }, job.fragmentTimeout);
+        if (timer && timer.unref) timer.unref();
+
+        // Fragment keeps being fetched in background after timeout to warm cache
+        self.getFragment(include.url, function (error, fragment) {
+            done(error, fragment);
+        });
+
+        function done(error, fragment) {
+            if (finished) return;
+            finished = true;
+            clearTimeout(timer);
+            if (error) {
+                report(self, error);
+                fragment = include.fallback;
+            }
+            output = output.split(marker).join(fragment);
+            delete job.includes[marker];
+            next();
+        }
+    }, function () {
+        callback(null, output);
+    });
+}
+
+// Layouts which can be fetched without render context
+function preloadableLayouts(self) {
+    var layout = self.layout;
+    if (!layout || typeof layout === 'function') return [];
+    return [layout];
+}
+
+// Calls layout resolver with render context, returning layout directly or as a promise
+function resolveLayout(resolver, context, callback) {
+    var resolved;
+    try {
+        resolved = resolver(context);
+    } catch (error) {
+        return callback(error);
+    }
+    if (!resolved || typeof resolved.then !== 'function') return callback(null, resolved);
+
+    // Escape promise chain so errors thrown by callback are not swallowed
+    resolved.then(function (resolved) {
+        setImmediate(function () { callback(null, resolved); });
+    }, function (error) {
+        setImmediate(function () { callback(error); });
+    });
+}
+
+// Calls work with node style callback and returns a promise of its result
+function promise(work) {
+    return new Promise(function (resolve, reject) {
+        work(function (error, result) {
+            if (error) return reject(error);
+            resolve(result);
+        });
+    });
+}
+
+function extend(target) {
+    for (var i = 1; i < arguments.length; i++) {
+        var source = arguments[i];
+        for (var key in source) target[key] = source[key];
+    }
+    return target;
+}
+
+function mergePartials(local, remote, priority) {
+    var partials = {};
+    var first = (priority === 'remote') ? local : remote;
+    var second = (priority === 'remote') ? remote : local;
+    var name;
+    for (name in first) partials[name] = first[name];
+    for (name in second) partials[name] = second[name];
+    return partials;
+}
+
+// Errors for rejected remote templates
+function defineError(name, code) {
+    function RemoteTemplateError(message, url) {
+        Error.call(this);
+        if (Error.captureStackTrace) Error.captureStackTrace(this, RemoteTemplateError);
+        this.name = name;
+        this.code = code;
+        this.message = message;
+        this.url = url;
+    }
+    util.inherits(RemoteTemplateError, Error);
+    return RemoteTemplateError;
+}
+
+var HostNotAllowedError = defineError('HostNotAllowedError', 'EHOSTNOTALLOWED');
+var BodyTooLargeError = defineError('BodyTooLargeError', 'EBODYTOOLARGE');
+var ContentTypeError = defineError('ContentTypeError', 'ECONTENTTYPE');
+var TemplateCompileError = defineError('TemplateCompileError', 'ECOMPILE');
+var CircuitOpenError = defineError('CircuitOpenError', 'ECIRCUITOPEN');
+var RecordingNotFoundError = defineError('RecordingNotFoundError', 'ENORECORDING');
+
 // Factory
 module.exports = function (options) {
     return new RemoteHandlebars(options).engine;
@@ -215,3 +1962,10 @@ module.exports.create = function (options) {
     return new RemoteHandlebars(options);
 };
 module.exports.RemoteHandlebars = RemoteHandlebars;
+module.exports.resolver = resolver;
+module.exports.HostNotAllowedError = HostNotAllowedError;
+module.exports.BodyTooLargeError = BodyTooLargeError;
+module.exports.ContentTypeError = ContentTypeError;
+module.exports.TemplateCompileError = TemplateCompileError;
+module.exports.CircuitOpenError = CircuitOpenError;
+module.exports.RecordingNotFoundError = RecordingNotFoundError;
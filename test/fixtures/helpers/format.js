@@ -0,0 +1,8 @@
+module.exports = {
+    currency: function (value) {
+        return '£' + Number(value).toFixed(2);
+    },
+    shout: function (value) {
+        return value + '!';
+    }
+};
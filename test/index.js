@@ -1,6 +1,12 @@
 'use strict';
 
+var fs = require('fs');
+var os = require('os');
+var crypto = require('crypto');
 var path = require('path');
+var http = require('http');
+var stream = require('stream');
+var express = require('express');
 var remoteHandlebars = require('..');
 var nock = require('nock');
 var should = require('should');
@@ -32,6 +38,10 @@ describe('RemoteHandlebars', function () {
         this.errorLayoutMock = nock('http://mocked')
         .get('/layouts/error')
         .reply(404);
+
+        this.sidebarPartialMock = nock('http://mocked')
+        .get('/partials/sidebar')
+        .reply(200, '<aside>Remote sidebar</aside>');
     });
 
     describe('.constructor()', function () {
@@ -132,198 +142,2281 @@ describe('RemoteHandlebars', function () {
         });
     });
 
-    describe('.getLayout()', function () {
-        it('should fetch template from remote', function (done) {
-            var test = this;
+    describe('.render() with layout resolver', function () {
+        it('should resolve layout from render context', function (done) {
+            var view = path.resolve(__dirname, 'fixtures/views/index.handlebars');
+            var partialsDir = path.resolve(__dirname, 'fixtures/views/partials');
+            var layoutResolver = function (context) {
+                return 'http://mocked/layouts/' + context.variant;
+            };
+            remoteHandlebars.create({ partialsDir: partialsDir, layoutResolver: layoutResolver })
+            .render(view, { variant: 'bare' }, function (error, rendered) {
+                if (error) return done(error);
 
-            remoteHandlebars.create()
-            .getLayout('http://mocked/layouts/default', function (error, template) {
+                rendered
+                .should.containEql('<body>')
+                .and.not.containEql('<nav>')
+                .and.containEql('<article>');
+
+                done();
+            });
+        });
+
+        it('should accept async resolvers returning promises', function (done) {
+            var view = path.resolve(__dirname, 'fixtures/views/index.handlebars');
+            var partialsDir = path.resolve(__dirname, 'fixtures/views/partials');
+            var instance = remoteHandlebars.create({ partialsDir: partialsDir, layout: 'http://mocked/layouts/default' });
+            instance.render(view, {
+                layoutResolver: function (context) {
+                    return Promise.resolve({ url: 'http://mocked/layouts/bare' });
+                }
+            }, function (error, rendered) {
                 if (error) return done(error);
 
-                // Ensure there are no more pending mocks
-                test.defaultLayoutMock.isDone().should.be.true;
+                rendered
+                .should.containEql('<body>')
+                .and.not.containEql('<nav>');
 
                 done();
             });
         });
 
-        it('should cache template', function (done) {
-            var test = this;
+        it('should render any function passed as layout as template', function (done) {
+            var view = path.resolve(__dirname, 'fixtures/views/index.handlebars');
+            var partialsDir = path.resolve(__dirname, 'fixtures/views/partials');
+            var compiled = require('handlebars').compile('<main class="wrapped">{{{content}}}</main>');
+            remoteHandlebars.create({ partialsDir: partialsDir })
+            .render(view, { layout: function (context, options) { return compiled(context, options); } }, function (error, rendered) {
+                if (error) return done(error);
 
-            var instance = remoteHandlebars.create({ layout: 'http://mocked/layouts/default' });
-            instance.getLayout(function (error, template) {
+                rendered
+                .should.containEql('<main class="wrapped">')
+                .and.containEql('<article>');
+
+                done();
+            });
+        });
+
+        it('should accept resolvers marked as such as layout', function (done) {
+            var view = path.resolve(__dirname, 'fixtures/views/index.handlebars');
+            var partialsDir = path.resolve(__dirname, 'fixtures/views/partials');
+            var instance = remoteHandlebars.create({
+                partialsDir: partialsDir,
+                layout: remoteHandlebars.resolver(function (context) {
+                    return 'http://mocked/layouts/' + context.variant;
+                })
+            });
+            instance.render(view, { variant: 'bare' }, function (error, rendered) {
                 if (error) return done(error);
 
-                // Ensure there are no more pending mocks
-                test.defaultLayoutMock.isDone().should.be.true;
+                rendered
+                .should.containEql('<body>')
+                .and.not.containEql('<nav>');
 
-                // 2nd request should use cache (This would fail if response wasn't cached)
-                instance.getLayout(done);
+                instance.render(view, { layout: remoteHandlebars.resolver(function () { return 'http://mocked/layouts/default'; }) }, function (error, rendered) {
+                    if (error) return done(error);
+
+                    rendered.should.containEql('<nav>');
+
+                    done();
+                });
             });
         });
 
-        it('should allow disabling cache', function (done) {
-            var test = this;
+        it('should fail if layout function does not return rendered template', function (done) {
+            var view = path.resolve(__dirname, 'fixtures/views/index.handlebars');
+            var partialsDir = path.resolve(__dirname, 'fixtures/views/partials');
+            remoteHandlebars.create({ partialsDir: partialsDir, layout: function () { return { url: 'http://mocked/layouts/default' }; } })
+            .render(view, {}, function (error) {
+                should.exist(error);
+                error.message.should.containEql('instead of rendered template');
 
-            var layout = 'http://mocked/layouts/default';
-            var uncached = { cache: false };
-            var instance = remoteHandlebars.create();
-            instance.getLayout(layout, uncached, function (error, template) {
+                done();
+            });
+        });
+
+        it('should render without layout if resolver returns false', function (done) {
+            var view = path.resolve(__dirname, 'fixtures/views/index.handlebars');
+            var partialsDir = path.resolve(__dirname, 'fixtures/views/partials');
+            remoteHandlebars.create({ partialsDir: partialsDir, layout: 'http://mocked/layouts/default', layoutResolver: function () { return false; } })
+            .render(view, {}, function (error, rendered) {
                 if (error) return done(error);
 
-                // Ensure there are no more pending mocks
-                test.defaultLayoutMock.isDone().should.be.true;
+                rendered
+                .should.not.containEql('<body>')
+                .and.containEql('<article>');
 
-                // 2nd request should fail without pending mocks if cache is disabled
-                instance.getLayout(layout, uncached, function (error, template) {
-                    done(error ? undefined : new Error('Template was cached despite being disabled'));
-                });
+                done();
             });
         });
 
-        it('should cache according to cache control settings', function (done) {
+        it('should cache resolved layouts', function (done) {
             var test = this;
-            test.timeout(2000);
 
-            var instance = remoteHandlebars.create({ layout: 'http://mocked/layouts/default', maxAge: 1 });
+            var instance = remoteHandlebars.create({ layoutResolver: function () { return 'http://mocked/layouts/default'; } });
             instance.getLayout(function (error, template) {
                 if (error) return done(error);
 
-                // Ensure there are no more pending mocks
                 test.defaultLayoutMock.isDone().should.be.true;
 
                 // 2nd request should use cache (This would fail if response wasn't cached)
-                instance.getLayout(function (error, template) {
-                    if (error) return done(error);
-
-                    setTimeout(function () {
-                        // 3rd request should use stale cache (This would fail if cache control header from response didn't override instance defaults)
-                        instance.getLayout(function (error, template) {
-                            done(error ? undefined : new Error('Template was cached despite being disabled'));
-                        });
-                    }, 1100);
-                });
+                instance.getLayout(done);
             });
         });
 
-        it('should use cache control headers from response (max-age, stale-while-revalidate)', function (done) {
-            var test = this;
-            test.timeout(3000);
+        it('should pass on resolver errors', function (done) {
+            remoteHandlebars.create({ layoutResolver: function () { return Promise.reject(new Error('Unknown variant')); } })
+            .getLayout(function (error, template) {
+                should.exist(error);
+                error.message.should.equal('Unknown variant');
 
-            var layout = 'http://mocked/layouts/cached';
-            var instance = remoteHandlebars.create({ layout: layout, maxAge: 1, staleWhileRevalidate: 0 });
-            instance.getLayout(function (error, template) {
+                done();
+            });
+        });
+    });
+
+    describe('.render() with local layouts', function () {
+        it('should render view with named layout from layoutsDir', function (done) {
+            var view = path.resolve(__dirname, 'fixtures/views/index.handlebars');
+            var partialsDir = path.resolve(__dirname, 'fixtures/views/partials');
+            var layoutsDir = path.resolve(__dirname, 'fixtures/views/layouts');
+            remoteHandlebars.create({ partialsDir: partialsDir, layoutsDir: layoutsDir, layout: 'bare' })
+            .render(view, {}, function (error, rendered) {
                 if (error) return done(error);
 
-                // Ensure there are no more pending mocks
-                test.cachedLayoutMock.isDone().should.be.true;
+                rendered
+                .should.containEql('<body>')
+                .and.not.containEql('<nav>')
+                .and.containEql('<article>');
 
-                // 2nd request should use cache (This would fail if response wasn't cached)
-                instance.cache.has(layout).should.be.ok;
-                instance.cache.isStale(layout).should.not.be.ok;
+                done();
+            });
+        });
 
-                instance.getLayout(function (error, template) {
-                    if (error) return done(error);
+        it('should fail for unknown layouts', function (done) {
+            var view = path.resolve(__dirname, 'fixtures/views/index.handlebars');
+            var layoutsDir = path.resolve(__dirname, 'fixtures/views/layouts');
+            remoteHandlebars.create({ layoutsDir: layoutsDir, layout: 'unknown' })
+            .render(view, {}, function (error, rendered) {
+                should.exist(error);
+                error.message.should.containEql('unknown');
 
-                    setTimeout(function () {
-                        // 3rd request should use stale cache (This would fail if response wasn't cached)
-                        instance.cache.has(layout).should.be.ok;
-                        instance.cache.isStale(layout).should.be.ok;
+                done();
+            });
+        });
 
-                        instance.getLayout(function (error, template) {
-                            if (error) return done(error);
+        it('should wrap layouts in parent layouts they declare', function (done) {
+            var test = this;
+            var view = path.resolve(__dirname, 'fixtures/views/index.handlebars');
+            var partialsDir = path.resolve(__dirname, 'fixtures/views/partials');
+            var layoutsDir = path.resolve(__dirname, 'fixtures/views/layouts');
+            remoteHandlebars.create({ partialsDir: partialsDir, layoutsDir: layoutsDir, layout: 'product' })
+            .render(view, {}, function (error, rendered) {
+                if (error) return done(error);
 
-                            setTimeout(function () {
-                                // 4th request should fail without pending mocks since cache has expired
-                                instance.cache.has(layout).should.not.be.ok;
-                                instance.cache.isStale(layout).should.not.be.ok;
+                // Local product layout inside local category layout inside remote default layout
+                test.defaultLayoutMock.isDone().should.be.true;
+                rendered
+                .should.match(/<nav>[\s\S]*<section class="category">[\s\S]*<div class="product">[\s\S]*<article>/)
+                .and.not.containEql('{{!<');
 
-                                instance.getLayout(function (error, template) {
-                                    done(error ? undefined : new Error('Template was cached despite being disabled'));
-                                });
-                            }, 1100);
-                        });
-                    }, 1100);
-                });
+                done();
             });
         });
 
-        it('should use cache control headers from response (no-cache)', function (done) {
-            var test = this;
-            test.timeout(3000);
+        it('should resolve local parent layouts of remote layouts', function (done) {
+            var view = path.resolve(__dirname, 'fixtures/views/index.handlebars');
+            var partialsDir = path.resolve(__dirname, 'fixtures/views/partials');
+            var layoutsDir = path.resolve(__dirname, 'fixtures/views/layouts');
+            nock('http://mocked')
+            .get('/layouts/nested')
+            .reply(200, '{{!< bare}}<div class="nested">{{{content}}}</div>');
 
-            var layout = 'http://mocked/layouts/uncached';
-            var instance = remoteHandlebars.create({ layout: layout, maxAge: 600, staleWhileRevalidate: 0 });
-            instance.getLayout(function (error, template) {
+            remoteHandlebars.create({ partialsDir: partialsDir, layoutsDir: layoutsDir, layout: 'http://mocked/layouts/nested' })
+            .render(view, {}, function (error, rendered) {
                 if (error) return done(error);
 
-                // Ensure there are no more pending mocks
-                test.uncachedLayoutMock.isDone().should.be.true;
+                rendered
+                .should.match(/<body>[\s\S]*<div class="nested">[\s\S]*<article>/);
 
-                // 2nd request should fail without pending mocks since cache has expired
-                instance.cache.has(layout).should.not.be.ok;
-                instance.cache.isStale(layout).should.not.be.ok;
+                done();
+            });
+        });
 
-                instance.getLayout(function (error, template) {
-                    done(error ? undefined : new Error('Template was cached despite no-cache headers sent'));
-                });
+        it('should not resolve parent layouts of remote layouts outside of layoutsDir', function (done) {
+            var view = path.resolve(__dirname, 'fixtures/views/index.handlebars');
+            var partialsDir = path.resolve(__dirname, 'fixtures/views/partials');
+            var layoutsDir = path.resolve(__dirname, 'fixtures/views/layouts');
+            nock('http://mocked')
+            .get('/layouts/escaping')
+            .reply(200, '{{!< ../../../../package.json}}<div class="escaping">{{{content}}}</div>');
+
+            remoteHandlebars.create({ partialsDir: partialsDir, layoutsDir: layoutsDir, layout: 'http://mocked/layouts/escaping' })
+            .render(view, {}, function (error, rendered) {
+                should.exist(error);
+                error.message.should.containEql('Layout \'../../../../package.json\' is outside of');
+                should.not.exist(rendered);
+
+                done();
             });
         });
-    });
 
-    describe('.getView()', function () {
-        it('should read template from disk', function (done) {
-            remoteHandlebars.create()
-            .getView(path.resolve(__dirname, 'fixtures/views/index.handlebars'), done);
+        it('should not resolve absolute layout names', function (done) {
+            var view = path.resolve(__dirname, 'fixtures/views/index.handlebars');
+            var layoutsDir = path.resolve(__dirname, 'fixtures/views/layouts');
+            var layout = path.resolve(__dirname, 'fixtures/views/index');
+
+            remoteHandlebars.create({ layoutsDir: layoutsDir })
+            .render(view, { layout: layout }, function (error) {
+                should.exist(error);
+                error.message.should.containEql('is outside of');
+
+                done();
+            });
+        });
+
+        it('should fail for circular parent layouts without cache', function (done) {
+            var view = path.resolve(__dirname, 'fixtures/views/sections.handlebars');
+            var layoutsDir = path.resolve(__dirname, 'fixtures/circular-layouts');
+            remoteHandlebars.create({ layoutsDir: layoutsDir, layout: 'a' })
+            .render(view, { cache: false }, function (error) {
+                should.exist(error);
+                error.message.should.containEql('Circular parent layout \'a\'');
+
+                done();
+            });
         });
     });
 
-    describe('.getPartials()', function () {
-        it('should accept single path', function (done) {
-            remoteHandlebars.create()
-            .getPartials(path.resolve(__dirname, 'fixtures/views/partials'), done);
+    describe('.render() with sections', function () {
+        beforeEach(function () {
+            nock('http://mocked')
+            .get('/layouts/sections')
+            .replyWithFile(200, path.resolve(__dirname, 'fixtures/views/layouts/sections.handlebars'));
         });
 
-        it('should accept list of paths', function (done) {
-            remoteHandlebars.create()
-            .getPartials([path.resolve(__dirname, 'fixtures/views/partials'), path.resolve(__dirname, 'fixtures/views/more-partials')], done);
+        it('should insert sections of view into placeholders of layout', function (done) {
+            var view = path.resolve(__dirname, 'fixtures/views/sections.handlebars');
+            remoteHandlebars.create({ layout: 'http://mocked/layouts/sections' })
+            .render(view, { canonical: 'http://localhost/' }, function (error, rendered) {
+                if (error) return done(error);
+
+                var head = rendered.slice(rendered.indexOf('<head>'), rendered.indexOf('</head>'));
+                var main = rendered.slice(rendered.indexOf('<main>'), rendered.indexOf('</main>'));
+
+                head
+                .should.containEql('<link rel="canonical" href="http://localhost/">');
+
+                main
+                .should.containEql('<article>')
+                .and.not.containEql('<link')
+                .and.not.containEql('<script');
+
+                rendered
+                .should.containEql('</main>\n    <script src="/page.js"></script>');
+
+                done();
+            });
         });
 
-        it('should read all .handlebars and .hbs templates', function (done) {
-            remoteHandlebars.create()
-            .getPartials(path.resolve(__dirname, 'fixtures/views/partials'), function (error, partials) {
-                if (error) done(error);
+        it('should use defaults for sections left empty by view', function (done) {
+            var view = path.resolve(__dirname, 'fixtures/views/sections.handlebars');
+            remoteHandlebars.create({
+                layout: 'http://mocked/layouts/sections',
+                sections: { head: '<meta name="default">', breadcrumbs: '<ol>Home</ol>' }
+            })
+            .render(view, {}, function (error, rendered) {
+                if (error) return done(error);
 
-                partials
-                .should.have.property('sidebar');
+                rendered
+                .should.containEql('<ol>Home</ol>')
+                .and.containEql('<link rel="canonical"')
+                .and.not.containEql('<meta name="default">');
 
                 done();
             });
         });
+    });
 
-        it('should read folders recursively', function (done) {
-            remoteHandlebars.create()
-            .getPartials(path.resolve(__dirname, 'fixtures/views/more-partials'), function (error, partials) {
-                if (error) done(error);
+    describe('.render() with remote partials', function () {
+        it('should render remote partials', function (done) {
+            var view = path.resolve(__dirname, 'fixtures/views/index.handlebars');
+            remoteHandlebars.create({ partialsDir: false, partials: { sidebar: 'http://mocked/partials/sidebar' } })
+            .render(view, {}, function (error, rendered) {
+                if (error) return done(error);
 
-                partials
-                .should.have.property('nested/partial');
+                rendered
+                .should.containEql('<article>')
+                .and.containEql('Remote sidebar');
 
                 done();
             });
         });
 
-        it('should override partials with same name in order of paths', function (done) {
-            remoteHandlebars.create()
-            .getPartials([path.resolve(__dirname, 'fixtures/views/partials'), path.resolve(__dirname, 'fixtures/views/more-partials')], function (error, partials) {
-                if (error) done(error);
+        it('should let local partials override remote partials by default', function (done) {
+            var view = path.resolve(__dirname, 'fixtures/views/index.handlebars');
+            var partialsDir = path.resolve(__dirname, 'fixtures/views/partials');
+            remoteHandlebars.create({ partialsDir: partialsDir, partials: { sidebar: 'http://mocked/partials/sidebar' } })
+            .render(view, {}, function (error, rendered) {
+                if (error) return done(error);
 
-                partials
-                .should.have.properties('sidebar', 'nested/partial');
+                rendered
+                .should.containEql('<ul>')
+                .and.not.containEql('Remote sidebar');
 
-                partials.sidebar({ links: [1, 2, 3] })
-                .should.containEql('<ol>')
-                .and.not.containEql('<ul>')
+                done();
+            });
+        });
+
+        it('should let remote partials override local partials if configured', function (done) {
+            var view = path.resolve(__dirname, 'fixtures/views/index.handlebars');
+            var partialsDir = path.resolve(__dirname, 'fixtures/views/partials');
+            remoteHandlebars.create({ partialsDir: partialsDir, partials: { sidebar: 'http://mocked/partials/sidebar' }, partialsPriority: 'remote' })
+            .render(view, {}, function (error, rendered) {
+                if (error) return done(error);
+
+                rendered
+                .should.containEql('Remote sidebar')
+                .and.not.containEql('<ul>');
+
+                done();
+            });
+        });
+    });
+
+    describe('.renderStream()', function () {
+        function collect() {
+            var writable = new stream.Writable();
+            writable.chunks = [];
+            writable._write = function (chunk, encoding, next) {
+                writable.chunks.push(chunk.toString());
+                next();
+            };
+            return writable;
+        }
+
+        it('should render without options', function (done) {
+            var view = path.resolve(__dirname, 'fixtures/views/sections.handlebars');
+            var output = collect();
+            remoteHandlebars.create({ layout: 'http://mocked/layouts/default' })
+            .renderStream(view, undefined, output, function (error) {
+                if (error) return done(error);
+
+                output.chunks.join('').should.containEql('<main>');
+
+                done();
+            });
+        });
+
+        it('should flush layout head before view has been rendered', function (done) {
+            var view = path.resolve(__dirname, 'fixtures/views/index.handlebars');
+            var partialsDir = path.resolve(__dirname, 'fixtures/views/partials');
+            var output = collect();
+            var instance = remoteHandlebars.create({ partialsDir: partialsDir, layout: 'http://mocked/layouts/default' });
+
+            // Delay view until head has been flushed
+            var getView = instance.getView;
+            instance.getView = function (filePath, options, callback) {
+                var args = arguments;
+                setTimeout(function () {
+                    output.chunks.should.have.length(1);
+                    output.chunks[0]
+                    .should.containEql('<body>')
+                    .and.containEql('<main>')
+                    .and.not.containEql('<article>');
+                    getView.apply(instance, args);
+                }, 50);
+            };
+
+            instance.renderStream(view, {}, output, function (error) {
+                if (error) return done(error);
+
+                var rendered = output.chunks.join('');
+                rendered
+                .should.containEql('<main>\n        <article>')
+                .and.containEql('</main>\n</body>');
+
+                done();
+            });
+        });
+
+        it('should render without layout', function (done) {
+            var view = path.resolve(__dirname, 'fixtures/views/index.handlebars');
+            var partialsDir = path.resolve(__dirname, 'fixtures/views/partials');
+            var output = collect();
+            remoteHandlebars.create({ partialsDir: partialsDir })
+            .renderStream(view, {}, output, function (error) {
+                if (error) return done(error);
+
+                output.chunks.join('')
+                .should.containEql('<article>')
+                .and.not.containEql('<body>');
+
+                done();
+            });
+        });
+
+        it('should flag errors after head has been sent', function (done) {
+            var view = path.resolve(__dirname, 'fixtures/views/index.handlebars');
+            var partialsDir = path.resolve(__dirname, 'fixtures/views/partials');
+            var output = collect();
+            var instance = remoteHandlebars.create({ partialsDir: partialsDir, layout: 'http://mocked/layouts/default' });
+            instance.getView = function (filePath, options, callback) {
+                setTimeout(function () {
+                    callback(new Error('View not found'));
+                }, 10);
+            };
+
+            instance.renderStream(view, {}, output, function (error) {
+                should.exist(error);
+                error.headersSent.should.be.true;
+                output.chunks.join('').should.containEql('<body>');
+
+                done();
+            });
+        });
+
+        it('should expose res.renderStream() via express middleware', function (done) {
+            var instance = remoteHandlebars.create({ partialsDir: path.resolve(__dirname, 'fixtures/views/partials'), layout: 'http://mocked/layouts/default' });
+            var app = express();
+            app.engine('handlebars', instance.engine);
+            app.set('view engine', 'handlebars');
+            app.set('views', path.resolve(__dirname, 'fixtures/views'));
+            app.use(instance.middleware());
+            app.get('/', function (req, res) {
+                res.renderStream('index', { title: 'Streamed' });
+            });
+
+            var server = app.listen(0, function () {
+                http.get('http://localhost:' + server.address().port + '/', function (res) {
+                    var body = '';
+                    res.setEncoding('utf8');
+                    res.on('data', function (chunk) { body += chunk; });
+                    res.on('end', function () {
+                        server.close();
+
+                        res.headers['content-type'].should.containEql('text/html');
+                        body
+                        .should.containEql('<body>')
+                        .and.containEql('<h1>Streamed</h1>');
+
+                        done();
+                    });
+                }).on('error', done);
+            });
+        });
+    });
+
+    describe('.getLayout()', function () {
+        it('should fetch template from remote', function (done) {
+            var test = this;
+
+            remoteHandlebars.create()
+            .getLayout('http://mocked/layouts/default', function (error, template) {
+                if (error) return done(error);
+
+                // Ensure there are no more pending mocks
+                test.defaultLayoutMock.isDone().should.be.true;
+
+                done();
+            });
+        });
+
+        it('should cache template', function (done) {
+            var test = this;
+
+            var instance = remoteHandlebars.create({ layout: 'http://mocked/layouts/default' });
+            instance.getLayout(function (error, template) {
+                if (error) return done(error);
+
+                // Ensure there are no more pending mocks
+                test.defaultLayoutMock.isDone().should.be.true;
+
+                // 2nd request should use cache (This would fail if response wasn't cached)
+                instance.getLayout(done);
+            });
+        });
+
+        it('should allow disabling cache', function (done) {
+            var test = this;
+
+            var layout = 'http://mocked/layouts/default';
+            var uncached = { cache: false };
+            var instance = remoteHandlebars.create();
+            instance.getLayout(layout, uncached, function (error, template) {
+                if (error) return done(error);
+
+                // Ensure there are no more pending mocks
+                test.defaultLayoutMock.isDone().should.be.true;
+
+                // 2nd request should fail without pending mocks if cache is disabled
+                instance.getLayout(layout, uncached, function (error, template) {
+                    done(error ? undefined : new Error('Template was cached despite being disabled'));
+                });
+            });
+        });
+
+        it('should cache according to cache control settings', function (done) {
+            var test = this;
+            test.timeout(2000);
+
+            var instance = remoteHandlebars.create({ layout: 'http://mocked/layouts/default', maxAge: 1 });
+            instance.getLayout(function (error, template) {
+                if (error) return done(error);
+
+                // Ensure there are no more pending mocks
+                test.defaultLayoutMock.isDone().should.be.true;
+
+                // 2nd request should use cache (This would fail if response wasn't cached)
+                instance.getLayout(function (error, template) {
+                    if (error) return done(error);
+
+                    setTimeout(function () {
+                        // 3rd request should use stale cache (This would fail if cache control header from response didn't override instance defaults)
+                        instance.getLayout(function (error, template) {
+                            done(error ? undefined : new Error('Template was cached despite being disabled'));
+                        });
+                    }, 1100);
+                });
+            });
+        });
+
+        it('should use cache control headers from response (max-age, stale-while-revalidate)', function (done) {
+            var test = this;
+            test.timeout(3000);
+
+            var layout = 'http://mocked/layouts/cached';
+            var instance = remoteHandlebars.create({ layout: layout, maxAge: 1, staleWhileRevalidate: 0 });
+            instance.getLayout(function (error, template) {
+                if (error) return done(error);
+
+                // Ensure there are no more pending mocks
+                test.cachedLayoutMock.isDone().should.be.true;
+
+                // 2nd request should use cache (This would fail if response wasn't cached)
+                instance.cache.has(layout).should.be.ok;
+                instance.cache.isStale(layout).should.not.be.ok;
+
+                instance.getLayout(function (error, template) {
+                    if (error) return done(error);
+
+                    setTimeout(function () {
+                        // 3rd request should use stale cache (This would fail if response wasn't cached)
+                        instance.cache.has(layout).should.be.ok;
+                        instance.cache.isStale(layout).should.be.ok;
+
+                        instance.getLayout(function (error, template) {
+                            if (error) return done(error);
+
+                            setTimeout(function () {
+                                // 4th request should fail without pending mocks since cache has expired
+                                instance.cache.has(layout).should.not.be.ok;
+                                instance.cache.isStale(layout).should.not.be.ok;
+
+                                instance.getLayout(function (error, template) {
+                                    done(error ? undefined : new Error('Template was cached despite being disabled'));
+                                });
+                            }, 1100);
+                        });
+                    }, 1100);
+                });
+            });
+        });
+
+        it('should use cache control headers from response (no-cache)', function (done) {
+            var test = this;
+            test.timeout(3000);
+
+            var layout = 'http://mocked/layouts/uncached';
+            var instance = remoteHandlebars.create({ layout: layout, maxAge: 600, staleWhileRevalidate: 0 });
+            instance.getLayout(function (error, template) {
+                if (error) return done(error);
+
+                // Ensure there are no more pending mocks
+                test.uncachedLayoutMock.isDone().should.be.true;
+
+                // 2nd request should fail without pending mocks since cache has expired
+                instance.cache.has(layout).should.not.be.ok;
+                instance.cache.isStale(layout).should.not.be.ok;
+
+                instance.getLayout(function (error, template) {
+                    done(error ? undefined : new Error('Template was cached despite no-cache headers sent'));
+                });
+            });
+        });
+    });
+
+    describe('.getLayout() revalidation', function () {
+        it('should revalidate using ETag and reuse compiled template on 304', function (done) {
+            var layout = 'http://mocked/layouts/etag';
+            var fetchMock = nock('http://mocked')
+            .get('/layouts/etag')
+            .replyWithFile(200, path.resolve(__dirname, 'fixtures/views/layouts/default.handlebars'), {
+                'Cache-Control': 'max-age=0',
+                'ETag': '"v1"'
+            });
+            var revalidateMock = nock('http://mocked', { reqheaders: { 'If-None-Match': '"v1"' } })
+            .get('/layouts/etag')
+            .reply(304, '', { 'Cache-Control': 'max-age=0' });
+
+            var instance = remoteHandlebars.create({ layout: layout });
+            instance.getLayout(function (error, template) {
+                if (error) return done(error);
+
+                fetchMock.isDone().should.be.true;
+
+                instance.getLayout(function (error, revalidated) {
+                    if (error) return done(error);
+
+                    revalidateMock.isDone().should.be.true;
+                    revalidated.should.equal(template);
+
+                    done();
+                });
+            });
+        });
+
+        it('should revalidate using Last-Modified', function (done) {
+            var layout = 'http://mocked/layouts/last-modified';
+            var lastModified = 'Wed, 21 Oct 2015 07:28:00 GMT';
+            nock('http://mocked')
+            .get('/layouts/last-modified')
+            .replyWithFile(200, path.resolve(__dirname, 'fixtures/views/layouts/default.handlebars'), {
+                'Cache-Control': 'max-age=0',
+                'Last-Modified': lastModified
+            });
+            var revalidateMock = nock('http://mocked', { reqheaders: { 'If-Modified-Since': lastModified } })
+            .get('/layouts/last-modified')
+            .reply(304);
+
+            var instance = remoteHandlebars.create({ layout: layout });
+            instance.getLayout(function (error, template) {
+                if (error) return done(error);
+
+                instance.getLayout(function (error, revalidated) {
+                    if (error) return done(error);
+
+                    revalidateMock.isDone().should.be.true;
+                    revalidated.should.equal(template);
+
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('.getLayout() cache keys', function () {
+        it('should cache separately per request headers named in Vary response header', function (done) {
+            var layout = 'http://mocked/layouts/localised';
+            var german = { url: layout, headers: { 'Accept-Language': 'de' } };
+            var english = { url: layout, headers: { 'Accept-Language': 'en' } };
+            nock('http://mocked', { reqheaders: { 'Accept-Language': 'de' } })
+            .get('/layouts/localised')
+            .reply(200, '<main lang="de">{{{content}}}</main>', { 'Cache-Control': 'max-age=60', 'Vary': 'Accept-Language' });
+            nock('http://mocked', { reqheaders: { 'Accept-Language': 'en' } })
+            .get('/layouts/localised')
+            .reply(200, '<main lang="en">{{{content}}}</main>', { 'Cache-Control': 'max-age=60', 'Vary': 'Accept-Language' });
+
+            var instance = remoteHandlebars.create();
+            instance.getLayout(german, function (error, template) {
+                if (error) return done(error);
+
+                template({}).should.containEql('lang="de"');
+
+                instance.getLayout(english, function (error, template) {
+                    if (error) return done(error);
+
+                    template({}).should.containEql('lang="en"');
+
+                    // 3rd request should use cache (This would fail if response wasn't cached)
+                    instance.getLayout({ url: layout, headers: { 'Accept-Language': 'de' } }, function (error, template) {
+                        if (error) return done(error);
+
+                        template({}).should.containEql('lang="de"');
+
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('should cache separately per configured request headers', function (done) {
+            var layout = 'http://mocked/layouts/branded';
+            nock('http://mocked', { reqheaders: { 'X-Brand': 'a' } })
+            .get('/layouts/branded')
+            .reply(200, '<main class="a">{{{content}}}</main>', { 'Cache-Control': 'max-age=60' });
+            nock('http://mocked', { reqheaders: { 'X-Brand': 'b' } })
+            .get('/layouts/branded')
+            .reply(200, '<main class="b">{{{content}}}</main>', { 'Cache-Control': 'max-age=60' });
+
+            var instance = remoteHandlebars.create({ varyHeaders: ['X-Brand'] });
+            instance.getLayout({ url: layout, headers: { 'X-Brand': 'a' } }, function (error, template) {
+                if (error) return done(error);
+
+                template({}).should.containEql('class="a"');
+
+                instance.getLayout({ url: layout, headers: { 'X-Brand': 'b' } }, function (error, template) {
+                    if (error) return done(error);
+
+                    template({}).should.containEql('class="b"');
+
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('.getLayout() stale-if-error', function () {
+        it('should serve last good template if revalidation fails within stale-if-error option', function (done) {
+            var layout = 'http://mocked/layouts/flaky';
+            var errors = [];
+            nock('http://mocked')
+            .get('/layouts/flaky')
+            .replyWithFile(200, path.resolve(__dirname, 'fixtures/views/layouts/default.handlebars'), {
+                'Cache-Control': 'max-age=0'
+            })
+            .get('/layouts/flaky')
+            .reply(500);
+
+            var instance = remoteHandlebars.create({ layout: layout, staleIfError: 60, onError: function (error) { errors.push(error); } });
+            instance.getLayout(function (error, template) {
+                if (error) return done(error);
+
+                instance.getLayout(function (error, stale) {
+                    if (error) return done(error);
+
+                    stale.should.equal(template);
+                    errors.should.have.length(1);
+                    errors[0].url.should.equal(layout);
+
+                    done();
+                });
+            });
+        });
+
+        it('should use stale-if-error from response cache control headers', function (done) {
+            var layout = 'http://mocked/layouts/flaky';
+            nock('http://mocked')
+            .get('/layouts/flaky')
+            .replyWithFile(200, path.resolve(__dirname, 'fixtures/views/layouts/default.handlebars'), {
+                'Cache-Control': 'max-age=0, stale-if-error=60'
+            })
+            .get('/layouts/flaky')
+            .reply(503);
+
+            var instance = remoteHandlebars.create({ layout: layout });
+            instance.getLayout(function (error, template) {
+                if (error) return done(error);
+
+                instance.getLayout(function (error, stale) {
+                    if (error) return done(error);
+
+                    stale.should.equal(template);
+
+                    done();
+                });
+            });
+        });
+
+        it('should pass on errors without stale-if-error', function (done) {
+            var layout = 'http://mocked/layouts/flaky';
+            nock('http://mocked')
+            .get('/layouts/flaky')
+            .replyWithFile(200, path.resolve(__dirname, 'fixtures/views/layouts/default.handlebars'), {
+                'Cache-Control': 'max-age=0'
+            })
+            .get('/layouts/flaky')
+            .reply(500);
+
+            var instance = remoteHandlebars.create({ layout: layout });
+            instance.getLayout(function (error, template) {
+                if (error) return done(error);
+
+                instance.getLayout(function (error, stale) {
+                    should.exist(error);
+                    should.not.exist(stale);
+
+                    done();
+                });
+            });
+        });
+
+        it('should render with fallback layout if nothing is cached', function (done) {
+            var view = path.resolve(__dirname, 'fixtures/views/index.handlebars');
+            var partialsDir = path.resolve(__dirname, 'fixtures/views/partials');
+            var fallbackLayout = path.resolve(__dirname, 'fixtures/views/layouts/bare.handlebars');
+            var errors = [];
+            remoteHandlebars.create({
+                partialsDir: partialsDir,
+                layout: 'http://mocked/layouts/error',
+                fallbackLayout: fallbackLayout,
+                onError: function (error) { errors.push(error); }
+            })
+            .render(view, {}, function (error, rendered) {
+                if (error) return done(error);
+
+                rendered
+                .should.containEql('<body>')
+                .and.containEql('<article>');
+
+                errors.should.have.length(1);
+
+                done();
+            });
+        });
+    });
+
+    describe('.loadSnapshots()', function () {
+        beforeEach(function () {
+            this.snapshotDir = path.join(os.tmpdir(), 'remote-handlebars-' + process.pid);
+            fs.mkdirSync(this.snapshotDir);
+        });
+
+        afterEach(function () {
+            var snapshotDir = this.snapshotDir;
+            fs.readdirSync(snapshotDir).forEach(function (file) {
+                fs.unlinkSync(path.join(snapshotDir, file));
+            });
+            fs.rmdirSync(snapshotDir);
+        });
+
+        it('should restore layouts fetched by a previous instance', function (done) {
+            var test = this;
+            var layout = 'http://mocked/layouts/cached';
+
+            var instance = remoteHandlebars.create({ layout: layout, snapshotDir: test.snapshotDir });
+            var saveSnapshot = instance.saveSnapshot;
+            instance.saveSnapshot = function (key, url, metadata) {
+                saveSnapshot.call(this, key, url, metadata, function (error) {
+                    if (error) return done(error);
+
+                    // Fresh instance should use snapshot (This would fail without pending mocks if snapshot wasn't restored)
+                    var restarted = remoteHandlebars.create({ layout: layout });
+                    restarted.loadSnapshots(test.snapshotDir, function (error) {
+                        if (error) return done(error);
+
+                        restarted.cache.has(layout).should.be.ok;
+                        restarted.getLayout(function (error, template) {
+                            if (error) return done(error);
+
+                            template({ content: '<article></article>' })
+                            .should.containEql('<article>');
+
+                            done();
+                        });
+                    });
+                });
+            };
+            instance.getLayout(function (error) {
+                if (error) return done(error);
+            });
+        });
+
+        it('should serve restored layouts within stale-if-error window if layout server fails', function (done) {
+            var test = this;
+            var layout = 'http://mocked/layouts/flaky';
+            nock('http://mocked')
+            .get('/layouts/flaky')
+            .reply(500);
+
+            fs.writeFileSync(path.join(test.snapshotDir, 'flaky.json'), JSON.stringify({
+                key: layout,
+                url: { url: layout },
+                fetchedAt: Date.now() - 10000,
+                maxAge: 0,
+                cacheControl: 'max-age=0, stale-if-error=60',
+                source: '<main>{{{content}}}</main>'
+            }));
+
+            var instance = remoteHandlebars.create({ layout: layout });
+            instance.loadSnapshots(test.snapshotDir, function (error) {
+                if (error) return done(error);
+
+                instance.getLayout(function (error, template) {
+                    if (error) return done(error);
+
+                    template({ content: 'Content' })
+                    .should.equal('<main>Content</main>');
+
+                    done();
+                });
+            });
+        });
+        it('should only persist URL and vary headers of request', function (done) {
+            var test = this;
+            var layout = { url: 'http://mocked/layouts/localised', headers: { 'Accept-Language': 'de', 'Cookie': 'session=secret' } };
+            nock('http://mocked')
+            .get('/layouts/localised')
+            .reply(200, '<main>{{{content}}}</main>', { 'Cache-Control': 'max-age=60', 'Vary': 'Accept-Language' });
+
+            var instance = remoteHandlebars.create({ snapshotDir: test.snapshotDir });
+            var saveSnapshot = instance.saveSnapshot;
+            instance.saveSnapshot = function (key, url, metadata) {
+                saveSnapshot.call(this, key, url, metadata, function (error) {
+                    if (error) return done(error);
+
+                    var files = fs.readdirSync(test.snapshotDir);
+                    var snapshot = JSON.parse(fs.readFileSync(path.join(test.snapshotDir, files[0]), 'utf8'));
+                    snapshot.url.headers.should.have.property('accept-language', 'de');
+                    snapshot.url.headers.should.not.have.property('cookie');
+
+                    done();
+                });
+            };
+            instance.getLayout(layout, function (error) {
+                if (error) return done(error);
+            });
+        });
+
+        it('should not persist private responses', function (done) {
+            var test = this;
+            nock('http://mocked')
+            .get('/layouts/private')
+            .reply(200, '<main>{{{content}}}</main>', { 'Cache-Control': 'private, max-age=60' });
+
+            var instance = remoteHandlebars.create({ snapshotDir: test.snapshotDir });
+            var saveSnapshot = instance.saveSnapshot;
+            instance.saveSnapshot = function (key, url, metadata) {
+                saveSnapshot.call(this, key, url, metadata, function (error) {
+                    if (error) return done(error);
+
+                    fs.readdirSync(test.snapshotDir).should.be.empty();
+
+                    done();
+                });
+            };
+            instance.getLayout('http://mocked/layouts/private', function (error) {
+                if (error) return done(error);
+            });
+        });
+    });
+
+    describe('cache administration', function () {
+        it('should list cached entries', function (done) {
+            var instance = remoteHandlebars.create({ layout: 'http://mocked/layouts/cached' });
+            instance.getLayout(function (error) {
+                if (error) return done(error);
+                instance.getView(path.resolve(__dirname, 'fixtures/views/index.handlebars'), function (error) {
+                    if (error) return done(error);
+
+                    var entries = instance.inspect();
+                    entries.should.have.length(2);
+                    entries[0].should.have.properties({ key: 'http://mocked/layouts/cached', type: 'remote', maxAge: 1, stale: false });
+                    entries[0].age.should.be.below(1);
+                    entries[0].remaining.should.be.above(0);
+                    entries[1].should.have.properties({ key: path.resolve(__dirname, 'fixtures/views/index.handlebars'), type: 'local' });
+
+                    done();
+                });
+            });
+        });
+
+        it('should purge entries by URL or pattern', function (done) {
+            var instance = remoteHandlebars.create();
+            instance.preload(['http://mocked/layouts/default', 'http://mocked/layouts/bare'], function (error) {
+                if (error) return done(error);
+
+                instance.purge('http://mocked/layouts/default')
+                .should.eql(['http://mocked/layouts/default']);
+                instance.cache.has('http://mocked/layouts/default').should.not.be.ok;
+                instance.cache.has('http://mocked/layouts/bare').should.be.ok;
+
+                instance.purge(/\/layouts\//)
+                .should.eql(['http://mocked/layouts/bare']);
+                instance.cache.keys().should.be.empty();
+
+                done();
+            });
+        });
+
+        it('should purge everything', function (done) {
+            var instance = remoteHandlebars.create({ partialsDir: path.resolve(__dirname, 'fixtures/views/partials') });
+            instance.preload(['http://mocked/layouts/default'], function (error) {
+                if (error) return done(error);
+
+                instance.purgeAll().should.have.length(2);
+                instance.inspect().should.be.empty();
+
+                done();
+            });
+        });
+
+        it('should force refresh entries', function (done) {
+            var layout = 'http://mocked/layouts/published';
+            nock('http://mocked')
+            .get('/layouts/published')
+            .reply(200, '<main>Old</main>', { 'Cache-Control': 'max-age=600' })
+            .get('/layouts/published')
+            .reply(200, '<main>New</main>', { 'Cache-Control': 'max-age=600' });
+
+            var instance = remoteHandlebars.create({ layout: layout });
+            instance.getLayout(function (error) {
+                if (error) return done(error);
+
+                instance.refresh(layout, function (error, keys) {
+                    if (error) return done(error);
+
+                    keys.should.eql([layout]);
+                    instance.getLayout(function (error, template) {
+                        if (error) return done(error);
+
+                        template({}).should.equal('<main>New</main>');
+
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('should expose admin router', function (done) {
+            var instance = remoteHandlebars.create();
+            var app = express();
+            app.use('/admin', instance.adminRouter());
+
+            instance.getLayout('http://mocked/layouts/default', function (error) {
+                if (error) return done(error);
+
+                var server = app.listen(0, function () {
+                    var port = server.address().port;
+                    function call(method, path, callback) {
+                        http.request({ method: method, port: port, path: path }, function (res) {
+                            var body = '';
+                            res.setEncoding('utf8');
+                            res.on('data', function (chunk) { body += chunk; });
+                            res.on('end', function () { callback(res.statusCode, JSON.parse(body)); });
+                        }).on('error', done).end();
+                    }
+
+                    call('GET', '/admin/cache', function (statusCode, body) {
+                        statusCode.should.equal(200);
+                        body.entries.should.have.length(1);
+
+                        call('POST', '/admin/cache/purge?uri=' + encodeURIComponent('http://mocked/layouts/default'), function (statusCode, body) {
+                            statusCode.should.equal(400);
+                            instance.inspect().should.have.length(1);
+
+                            call('POST', '/admin/cache/purge?pattern=' + encodeURIComponent('(*/layouts/[a-z'), function (statusCode, body) {
+                                statusCode.should.equal(200);
+                                body.purged.should.be.empty();
+
+                                call('POST', '/admin/cache/purge?pattern=' + encodeURIComponent('http://*/layouts/*'), function (statusCode, body) {
+                                    statusCode.should.equal(200);
+                                    body.purged.should.eql(['http://mocked/layouts/default']);
+                                    instance.inspect().should.be.empty();
+
+                                    call('POST', '/admin/cache/purge?all=1', function (statusCode, body) {
+                                        server.close();
+
+                                        statusCode.should.equal(200);
+                                        body.purged.should.be.empty();
+
+                                        done();
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    describe('instrumentation', function () {
+        it('should be an event emitter', function () {
+            remoteHandlebars.create()
+            .should.be.an.instanceOf(require('events').EventEmitter);
+        });
+
+        it('should emit fetch and cache events', function (done) {
+            var layout = 'http://mocked/layouts/default';
+            var events = [];
+            var instance = remoteHandlebars.create({ layout: layout });
+            ['fetch:start', 'fetch:end', 'cache:hit', 'cache:miss', 'compile'].forEach(function (name) {
+                instance.on(name, function (data) {
+                    events.push([name, data]);
+                });
+            });
+
+            instance.getLayout(function (error) {
+                if (error) return done(error);
+                instance.getLayout(function (error) {
+                    if (error) return done(error);
+
+                    events.map(function (event) { return event[0]; })
+                    .should.eql(['cache:miss', 'fetch:start', 'fetch:end', 'compile', 'cache:hit']);
+
+                    var fetched = events[2][1];
+                    fetched.url.should.equal(layout);
+                    fetched.status.should.equal(200);
+                    fetched.duration.should.be.a.Number;
+                    fetched.bytes.should.be.above(0);
+
+                    done();
+                });
+            });
+        });
+
+        it('should emit render events', function (done) {
+            var view = path.resolve(__dirname, 'fixtures/views/index.handlebars');
+            var instance = remoteHandlebars.create({ partialsDir: path.resolve(__dirname, 'fixtures/views/partials') });
+            instance.on('render', function (data) {
+                data.view.should.equal(view);
+                data.duration.should.be.a.Number;
+                should.not.exist(data.error);
+
+                done();
+            });
+            instance.render(view, {}, function () {});
+        });
+
+        it('should emit recovered errors', function (done) {
+            var instance = remoteHandlebars.create({
+                layout: 'http://mocked/layouts/error',
+                fallbackLayout: path.resolve(__dirname, 'fixtures/views/layouts/bare.handlebars')
+            });
+            instance.on('error', function (error) {
+                error.url.should.equal('http://mocked/layouts/error');
+
+                done();
+            });
+            instance.getLayout(function () {});
+        });
+
+        it('should aggregate stats', function (done) {
+            var instance = remoteHandlebars.create({ layout: 'http://mocked/layouts/default' });
+            instance.getLayout(function (error) {
+                if (error) return done(error);
+                instance.getLayout(function (error) {
+                    if (error) return done(error);
+                    instance.getLayout('http://mocked/layouts/error', function () {
+                        var stats = instance.stats();
+
+                        stats.fetches.should.have.properties({ count: 2, errors: 1 });
+                        stats.fetches.bytes.should.be.above(0);
+                        stats.cache.should.have.properties({ hit: 1, miss: 2 });
+                        stats.compiles.count.should.equal(1);
+
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    describe('resilience', function () {
+        it('should pass timeout to request', function (done) {
+            var instance = remoteHandlebars.create({
+                timeout: 500,
+                request: function (options, callback) {
+                    options.timeout.should.equal(500);
+                    callback(null, { statusCode: 200, headers: {} }, '<main></main>');
+                }
+            });
+            instance.getLayout('http://mocked/layouts/timed', done);
+        });
+
+        it('should retry on server errors', function (done) {
+            var layout = 'http://mocked/layouts/retried';
+            var retryMock = nock('http://mocked')
+            .get('/layouts/retried')
+            .reply(503)
+            .get('/layouts/retried')
+            .reply(200, '<main>{{{content}}}</main>');
+
+            var instance = remoteHandlebars.create({ retries: 2, retryDelay: 1 });
+            var retries = [];
+            instance.on('fetch:retry', function (data) { retries.push(data); });
+            instance.getLayout(layout, function (error, template) {
+                if (error) return done(error);
+
+                retryMock.isDone().should.be.true;
+                retries.should.have.length(1);
+                template({ content: 'Content' }).should.equal('<main>Content</main>');
+
+                done();
+            });
+        });
+
+        it('should not retry on client errors', function (done) {
+            var instance = remoteHandlebars.create({ retries: 2, retryDelay: 1 });
+            instance.getLayout('http://mocked/layouts/error', function (error) {
+                should.exist(error);
+                instance.stats().fetches.count.should.equal(1);
+
+                done();
+            });
+        });
+
+        it('should fail fast once circuit breaker is open', function (done) {
+            var layout = 'http://mocked/layouts/broken';
+            nock('http://mocked')
+            .get('/layouts/broken')
+            .times(2)
+            .reply(500);
+
+            var instance = remoteHandlebars.create({ breakerThreshold: 2, breakerCooldown: 60 });
+            instance.getLayout(layout, function (error) {
+                should.exist(error);
+                instance.breakers().should.have.property('mocked');
+                instance.breakers().mocked.state.should.equal('closed');
+
+                instance.getLayout(layout, function (error) {
+                    should.exist(error);
+                    instance.breakers().mocked.should.have.properties({ state: 'open', failures: 2 });
+
+                    // 3rd request should fail without pending mocks
+                    instance.getLayout(layout, function (error) {
+                        should.exist(error);
+                        error.code.should.equal('ECIRCUITOPEN');
+
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('should close circuit breaker after successful trial request', function (done) {
+            var layout = 'http://mocked/layouts/recovering';
+            nock('http://mocked')
+            .get('/layouts/recovering')
+            .reply(500)
+            .get('/layouts/recovering')
+            .reply(200, '<main>{{{content}}}</main>');
+
+            var instance = remoteHandlebars.create({ breakerThreshold: 1, breakerCooldown: 0.05 });
+            instance.getLayout(layout, function (error) {
+                should.exist(error);
+                instance.breakers().mocked.state.should.equal('open');
+
+                setTimeout(function () {
+                    instance.breakers().mocked.state.should.equal('half-open');
+
+                    instance.getLayout(layout, function (error) {
+                        if (error) return done(error);
+
+                        instance.breakers().mocked.state.should.equal('closed');
+
+                        done();
+                    });
+                }, 60);
+            });
+        });
+
+        it('should let another trial request through if trial request hangs', function (done) {
+            var requests = 0;
+            var instance = remoteHandlebars.create({
+                breakerThreshold: 1,
+                breakerCooldown: 0.05,
+                request: function (options, callback) {
+                    // 1st request fails, 2nd (trial) hangs, 3rd succeeds
+                    if (++requests === 1) return callback(new Error('ECONNRESET'));
+                    if (requests === 3) return callback(null, { statusCode: 200, headers: {} }, '<main>{{{content}}}</main>');
+                }
+            });
+            var layout = 'http://mocked/layouts/hanging';
+            instance.getLayout(layout, { cache: false }, function (error) {
+                should.exist(error);
+
+                setTimeout(function () {
+                    instance.getLayout(layout, { cache: false }, function () {
+                        done(new Error('Hanging trial request should not call back'));
+                    });
+
+                    instance.getLayout(layout, { cache: false }, function (error) {
+                        error.code.should.equal('ECIRCUITOPEN');
+
+                        setTimeout(function () {
+                            instance.getLayout(layout, { cache: false }, function (error) {
+                                if (error) return done(error);
+
+                                requests.should.equal(3);
+                                instance.breakers().mocked.state.should.equal('closed');
+
+                                done();
+                            });
+                        }, 60);
+                    });
+                }, 60);
+            });
+        });
+    });
+
+    describe('safety limits', function () {
+        it('should reject hosts not allowed', function (done) {
+            remoteHandlebars.create({ allowedHosts: ['layouts.example.com'] })
+            .getLayout('http://mocked/layouts/default', function (error) {
+                error.should.be.an.instanceOf(remoteHandlebars.HostNotAllowedError);
+                error.code.should.equal('EHOSTNOTALLOWED');
+                error.message.should.containEql('mocked');
+
+                done();
+            });
+        });
+
+        it('should allow listed hosts', function (done) {
+            remoteHandlebars.create({ allowedHosts: ['mocked'] })
+            .getLayout('http://mocked/layouts/default', done);
+        });
+
+        it('should reject bodies exceeding maximum size', function (done) {
+            remoteHandlebars.create({ maxBodySize: 10 })
+            .getLayout('http://mocked/layouts/default', function (error) {
+                error.should.be.an.instanceOf(remoteHandlebars.BodyTooLargeError);
+                error.message.should.containEql('exceeds maximum of 10 bytes');
+
+                done();
+            });
+        });
+
+        it('should stop reading bodies exceeding maximum size without content length', function (done) {
+            var chunks = 0;
+            var body = new stream.Readable({
+                read: function () {
+                    chunks++;
+                    this.push(chunks > 1000 ? null : new Array(1025).join('x'));
+                }
+            });
+            nock('http://mocked')
+            .get('/layouts/huge')
+            .reply(200, function () { return body; });
+
+            remoteHandlebars.create({ maxBodySize: 4096 })
+            .getLayout('http://mocked/layouts/huge', function (error) {
+                error.should.be.an.instanceOf(remoteHandlebars.BodyTooLargeError);
+                chunks.should.be.below(1000);
+
+                done();
+            });
+        });
+
+        it('should reject unexpected content types', function (done) {
+            nock('http://mocked')
+            .get('/layouts/html')
+            .reply(200, '<html>Error</html>', { 'Content-Type': 'text/html; charset=utf-8' })
+            .get('/layouts/typed')
+            .reply(200, '<main>{{{content}}}</main>', { 'Content-Type': 'text/x-handlebars-template; charset=utf-8' });
+
+            var instance = remoteHandlebars.create({ validateContentType: true });
+            instance.getLayout('http://mocked/layouts/html', function (error) {
+                error.should.be.an.instanceOf(remoteHandlebars.ContentTypeError);
+                error.message.should.containEql('text/html');
+
+                instance.getLayout('http://mocked/layouts/typed', done);
+            });
+        });
+
+        it('should pass compile options and reject templates using unknown helpers', function (done) {
+            nock('http://mocked')
+            .get('/layouts/helpers')
+            .reply(200, '<main>{{unknown "argument"}}</main>');
+
+            remoteHandlebars.create({ compileOptions: { knownHelpersOnly: true } })
+            .getLayout('http://mocked/layouts/helpers', function (error) {
+                error.should.be.an.instanceOf(remoteHandlebars.TemplateCompileError);
+                error.url.should.equal('http://mocked/layouts/helpers');
+
+                done();
+            });
+        });
+    });
+
+    describe('watch mode', function () {
+        beforeEach(function () {
+            this.viewsDir = path.join(os.tmpdir(), 'remote-handlebars-views-' + process.pid);
+            fs.mkdirSync(this.viewsDir);
+            fs.mkdirSync(path.join(this.viewsDir, 'partials'));
+            fs.writeFileSync(path.join(this.viewsDir, 'index.handlebars'), '<p>Original</p>');
+            fs.writeFileSync(path.join(this.viewsDir, 'partials/sidebar.handlebars'), '<aside></aside>');
+            this.instance = remoteHandlebars.create({ watch: true });
+        });
+
+        afterEach(function () {
+            var viewsDir = this.viewsDir;
+            this.instance.unwatch();
+            ['partials/sidebar.handlebars', 'partials/footer.handlebars', 'index.handlebars'].forEach(function (file) {
+                if (fs.existsSync(path.join(viewsDir, file))) fs.unlinkSync(path.join(viewsDir, file));
+            });
+            fs.rmdirSync(path.join(viewsDir, 'partials'));
+            fs.rmdirSync(viewsDir);
+        });
+
+        it('should evict changed views from cache', function (done) {
+            var instance = this.instance;
+            var view = path.join(this.viewsDir, 'index.handlebars');
+            instance.getView(view, function (error, template) {
+                if (error) return done(error);
+
+                template({}).should.equal('<p>Original</p>');
+                fs.writeFileSync(view, '<p>Changed</p>');
+
+                setTimeout(function () {
+                    instance.getView(view, function (error, template) {
+                        if (error) return done(error);
+
+                        template({}).should.equal('<p>Changed</p>');
+
+                        done();
+                    });
+                }, 100);
+            });
+        });
+
+        it('should rebuild partials once files are added', function (done) {
+            var instance = this.instance;
+            var partialsDir = path.join(this.viewsDir, 'partials');
+            instance.getPartials(partialsDir, function (error, partials) {
+                if (error) return done(error);
+
+                partials.should.have.keys('sidebar');
+
+                // Give watchers a moment to be set up
+                setTimeout(function () {
+                    fs.writeFileSync(path.join(partialsDir, 'footer.handlebars'), '<footer></footer>');
+
+                    setTimeout(function () {
+                        instance.getPartials(partialsDir, function (error, partials) {
+                            if (error) return done(error);
+
+                            partials.should.have.keys('sidebar', 'footer');
+
+                            done();
+                        });
+                    }, 100);
+                }, 50);
+            });
+        });
+
+        it('should report compile errors with file path', function (done) {
+            var view = path.join(this.viewsDir, 'index.handlebars');
+            fs.writeFileSync(view, '{{#if}}');
+            this.instance.getView(view, function (error, template) {
+                should.exist(error);
+                error.message.should.containEql(view);
+                error.filePath.should.equal(view);
+
+                done();
+            });
+        });
+    });
+
+    describe('.getView()', function () {
+        it('should read template from disk', function (done) {
+            remoteHandlebars.create()
+            .getView(path.resolve(__dirname, 'fixtures/views/index.handlebars'), done);
+        });
+    });
+
+    describe('.getPartials()', function () {
+        it('should accept single path', function (done) {
+            remoteHandlebars.create()
+            .getPartials(path.resolve(__dirname, 'fixtures/views/partials'), done);
+        });
+
+        it('should accept list of paths', function (done) {
+            remoteHandlebars.create()
+            .getPartials([path.resolve(__dirname, 'fixtures/views/partials'), path.resolve(__dirname, 'fixtures/views/more-partials')], done);
+        });
+
+        it('should read all .handlebars and .hbs templates', function (done) {
+            remoteHandlebars.create()
+            .getPartials(path.resolve(__dirname, 'fixtures/views/partials'), function (error, partials) {
+                if (error) done(error);
+
+                partials
+                .should.have.property('sidebar');
+
+                done();
+            });
+        });
+
+        it('should read folders recursively', function (done) {
+            remoteHandlebars.create()
+            .getPartials(path.resolve(__dirname, 'fixtures/views/more-partials'), function (error, partials) {
+                if (error) done(error);
+
+                partials
+                .should.have.property('nested/partial');
+
+                done();
+            });
+        });
+
+        it('should override partials with same name in order of paths', function (done) {
+            remoteHandlebars.create()
+            .getPartials([path.resolve(__dirname, 'fixtures/views/partials'), path.resolve(__dirname, 'fixtures/views/more-partials')], function (error, partials) {
+                if (error) done(error);
+
+                partials
+                .should.have.properties('sidebar', 'nested/partial');
+
+                partials.sidebar({ links: [1, 2, 3] })
+                .should.containEql('<ol>')
+                .and.not.containEql('<ul>')
+
+                done();
+            });
+        });
+    });
+
+    describe('.getRemotePartials()', function () {
+        it('should fetch and cache partials from remote', function (done) {
+            var test = this;
+
+            var instance = remoteHandlebars.create({ partials: { sidebar: 'http://mocked/partials/sidebar' } });
+            instance.getRemotePartials(function (error, partials) {
+                if (error) return done(error);
+
+                // Ensure there are no more pending mocks
+                test.sidebarPartialMock.isDone().should.be.true;
+
+                partials
+                .should.have.property('sidebar');
+
+                // 2nd request should use cache (This would fail if response wasn't cached)
+                instance.getRemotePartials(done);
+            });
+        });
+
+        it('should return no partials if none are configured', function (done) {
+            remoteHandlebars.create()
+            .getRemotePartials(function (error, partials) {
+                if (error) return done(error);
+
+                partials
+                .should.be.empty();
+
+                done();
+            });
+        });
+    });
+
+    describe('.preload()', function () {
+        it('should fetch configured layout and partials', function (done) {
+            var test = this;
+
+            var instance = remoteHandlebars.create({
+                layout: 'http://mocked/layouts/default',
+                partials: { sidebar: 'http://mocked/partials/sidebar' },
+                partialsDir: path.resolve(__dirname, 'fixtures/views/partials')
+            });
+            instance.isReady().should.be.false;
+            instance.preload(function (error) {
+                if (error) return done(error);
+
+                test.defaultLayoutMock.isDone().should.be.true;
+                test.sidebarPartialMock.isDone().should.be.true;
+                instance.cache.has('http://mocked/layouts/default').should.be.ok;
+                instance.isReady().should.be.true;
+
+                done();
+            });
+        });
+
+        it('should fetch listed layouts', function (done) {
+            var test = this;
+
+            var instance = remoteHandlebars.create({ partialsDir: false });
+            instance.preload(['http://mocked/layouts/default', 'http://mocked/layouts/bare'], function (error) {
+                if (error) return done(error);
+
+                test.defaultLayoutMock.isDone().should.be.true;
+                test.bareLayoutMock.isDone().should.be.true;
+
+                done();
+            });
+        });
+
+        it('should not be ready if preloading fails', function (done) {
+            var instance = remoteHandlebars.create({ layout: 'http://mocked/layouts/error', partialsDir: false });
+            instance.preload(function (error) {
+                should.exist(error);
+                instance.isReady().should.be.false;
+
+                done();
+            });
+        });
+
+        it('should expose readiness middleware', function (done) {
+            var instance = remoteHandlebars.create({ layout: 'http://mocked/layouts/default', partialsDir: false });
+            var readiness = instance.readiness();
+
+            function response(callback) {
+                var headers = {};
+                return {
+                    setHeader: function (name, value) { headers[name] = value; },
+                    end: function (body) { callback(this.statusCode, headers, JSON.parse(body)); }
+                };
+            }
+
+            readiness({}, response(function (statusCode, headers, body) {
+                statusCode.should.equal(503);
+                headers['Content-Type'].should.equal('application/json');
+                body.ready.should.be.false;
+
+                instance.preload(function (error) {
+                    if (error) return done(error);
+
+                    readiness({}, response(function (statusCode, headers, body) {
+                        statusCode.should.equal(200);
+                        body.ready.should.be.true;
+
+                        done();
+                    }));
+                });
+            }));
+        });
+
+        it('should refresh layouts in the background', function (done) {
+            var layout = 'http://mocked/layouts/refreshed';
+            var refreshMock = nock('http://mocked')
+            .get('/layouts/refreshed')
+            .times(2)
+            .reply(200, '<main>{{{content}}}</main>', { 'Cache-Control': 'max-age=0' });
+
+            var instance = remoteHandlebars.create({ layout: layout, partialsDir: false, refreshInterval: 0.02 });
+            setTimeout(function () {
+                instance.stopRefresh();
+                refreshMock.isDone().should.be.true;
+
+                done();
+            }, 100);
+        });
+    });
+
+    describe('promises', function () {
+        it('should render view with layout', function () {
+            var view = path.resolve(__dirname, 'fixtures/views/index.handlebars');
+            var partialsDir = path.resolve(__dirname, 'fixtures/views/partials');
+            return remoteHandlebars.create({ partialsDir: partialsDir, layout: 'http://mocked/layouts/default' })
+            .render(view, {})
+            .then(function (rendered) {
+                rendered
+                .should.containEql('<body>')
+                .and.containEql('<article>');
+            });
+        });
+
+        it('should get layout, view and partials', function () {
+            var instance = remoteHandlebars.create({ layout: 'http://mocked/layouts/default' });
+            return Promise.all([
+                instance.getLayout(),
+                instance.getView(path.resolve(__dirname, 'fixtures/views/index.handlebars')),
+                instance.getPartials(path.resolve(__dirname, 'fixtures/views/partials'), { cache: false })
+            ])
+            .then(function (results) {
+                results[0].should.be.a.Function;
+                results[1].should.be.a.Function;
+                results[2].should.have.property('sidebar');
+            });
+        });
+
+        it('should reject on request errors', function () {
+            return remoteHandlebars.create()
+            .getLayout('http://mocked/layouts/error')
+            .then(function () {
+                throw new Error('Promise was resolved despite request error');
+            }, function (error) {
+                error.message.should.containEql('404');
+            });
+        });
+
+        it('should resolve layout picked by resolver from context', function () {
+            var instance = remoteHandlebars.create({
+                layoutResolver: function (context) { return 'http://mocked/layouts/' + context.variant; }
+            });
+            var template = require('handlebars').compile('<main>{{{content}}}</main>');
+            return instance.getLayout(null, { variant: 'bare' }).then(function (layout) {
+                layout({ content: '<article></article>' }).should.containEql('<article>');
+                return instance.getLayout(template, {});
+            }).then(function (layout) {
+                layout.should.equal(template);
+            });
+        });
+
+        it('should prefer resolver over configured layout', function () {
+            return remoteHandlebars.create({
+                layout: 'http://mocked/layouts/default',
+                layoutResolver: function () { return 'http://mocked/layouts/bare'; }
+            })
+            .getLayout()
+            .then(function (layout) {
+                layout({ content: '' }).should.not.containEql('<nav>');
+            });
+        });
+
+        it('should reject instead of throwing on invalid arguments', function () {
+            return remoteHandlebars.create()
+            .getLayout()
+            .then(function () {
+                throw new Error('Promise was resolved without layout');
+            }, function (error) {
+                error.message.should.containEql('expects url');
+            });
+        });
+    });
+
+    describe('.getHelpers()', function () {
+        it('should load helpers exported as function or object', function (done) {
+            remoteHandlebars.create()
+            .getHelpers(path.resolve(__dirname, 'fixtures/helpers'), function (error, helpers) {
+                if (error) return done(error);
+
+                helpers
+                .should.have.properties('uppercase', 'currency', 'shout');
+
+                done();
+            });
+        });
+
+        it('should override helpers with same name in order of paths', function (done) {
+            remoteHandlebars.create()
+            .getHelpers([path.resolve(__dirname, 'fixtures/helpers'), path.resolve(__dirname, 'fixtures/more-helpers')], function (error, helpers) {
+                if (error) return done(error);
+
+                helpers.shout('Hello').should.equal('HELLO!!!');
+
+                done();
+            });
+        });
+    });
+
+    describe('.render() with helpers', function () {
+        it('should render with helpers from helpersDir', function (done) {
+            var view = path.resolve(__dirname, 'fixtures/views/helpers.handlebars');
+            remoteHandlebars.create({ helpersDir: path.resolve(__dirname, 'fixtures/helpers') })
+            .render(view, { title: 'Title', price: 5, message: 'Hello' }, function (error, rendered) {
+                if (error) return done(error);
+
+                rendered
+                .should.containEql('<p>TITLE</p>')
+                .and.containEql('<p>£5.00</p>')
+                .and.containEql('<p>Hello!</p>');
+
+                done();
+            });
+        });
+
+        it('should merge render helpers with instance and directory helpers', function (done) {
+            var view = path.resolve(__dirname, 'fixtures/views/helpers.handlebars');
+            remoteHandlebars.create({
+                helpersDir: path.resolve(__dirname, 'fixtures/helpers'),
+                helpers: { currency: function (value) { return value + ' EUR'; } }
+            })
+            .render(view, {
+                title: 'Title',
+                price: 5,
+                message: 'Hello',
+                helpers: { shout: function (value) { return value + '?'; } }
+            }, function (error, rendered) {
+                if (error) return done(error);
+
+                rendered
+                .should.containEql('<p>TITLE</p>')
+                .and.containEql('<p>5 EUR</p>')
+                .and.containEql('<p>Hello?</p>');
+
+                done();
+            });
+        });
+    });
+
+    describe('.render() with remote fragments', function () {
+        beforeEach(function () {
+            this.headerFragmentMock = nock('http://mocked')
+            .get('/fragments/header')
+            .reply(200, '<h1>Remote header</h1>', { 'Cache-Control': 'max-age=60' });
+
+            this.brokenFragmentMock = nock('http://mocked')
+            .get('/fragments/broken')
+            .reply(500);
+        });
+
+        it('should include fragments and render fallback of failed ones', function (done) {
+            var view = path.resolve(__dirname, 'fixtures/views/fragments.handlebars');
+            var instance = remoteHandlebars.create({ layout: 'http://mocked/layouts/default' });
+            instance.on('error', function () {});
+            instance.render(view, {}, function (error, rendered) {
+                if (error) return done(error);
+
+                rendered
+                .should.containEql('<main>')
+                .and.containEql('<header><h1>Remote header</h1></header>')
+                .and.containEql('<aside><p>Sidebar unavailable</p></aside>')
+                .and.not.containEql('remote-include');
+
+                done();
+            });
+        });
+
+        it('should cache fragments', function (done) {
+            var view = path.resolve(__dirname, 'fixtures/views/fragments.handlebars');
+            var instance = remoteHandlebars.create({ fragmentFallback: '' });
+            instance.on('error', function () {});
+            instance.render(view, {}, function (error) {
+                if (error) return done(error);
+                instance.render(view, {}, function (error, rendered) {
+                    if (error) return done(error);
+
+                    rendered.should.containEql('<h1>Remote header</h1>');
+                    instance.fragments.has('http://mocked/fragments/header').should.be.true();
+
+                    done();
+                });
+            });
+        });
+
+        it('should render configured fallback once fragment times out', function (done) {
+            nock.removeInterceptor(this.headerFragmentMock.interceptors[0]);
+            nock('http://mocked')
+            .get('/fragments/header')
+            .delay(200)
+            .reply(200, '<h1>Remote header</h1>');
+
+            var instance = remoteHandlebars.create({ fragmentTimeout: 20, fragmentFallback: '<!-- unavailable -->' });
+            var errors = [];
+            instance.on('error', function (error) { errors.push(error); });
+            instance.render(path.resolve(__dirname, 'fixtures/views/fragments.handlebars'), {}, function (error, rendered) {
+                if (error) return done(error);
+
+                rendered
+                .should.containEql('<header><!-- unavailable --></header>')
+                .and.containEql('<aside><p>Sidebar unavailable</p></aside>');
+                errors.map(function (error) { return error.code; }).should.containEql('ETIMEDOUT');
+
+                done();
+            });
+        });
+
+        it('should resolve fragments when streaming', function (done) {
+            var view = path.resolve(__dirname, 'fixtures/views/fragments.handlebars');
+            var output = new stream.PassThrough();
+            var chunks = [];
+            output.on('data', function (chunk) { chunks.push(chunk.toString()); });
+            var instance = remoteHandlebars.create({ layout: 'http://mocked/layouts/default' });
+            instance.on('error', function () {});
+            instance.renderStream(view, {}, output, function (error) {
+                if (error) return done(error);
+
+                chunks.join('')
+                .should.containEql('<header><h1>Remote header</h1></header>')
+                .and.containEql('<aside><p>Sidebar unavailable</p></aside>');
+
+                done();
+            });
+        });
+    });
+
+    describe('.render() with layout envelopes', function () {
+        beforeEach(function () {
+            this.envelopeLayoutMock = nock('http://mocked')
+            .get('/layouts/envelope')
+            .reply(200, JSON.stringify({
+                template: '{{> navigation}}<main>{{{content}}}</main><footer>{{layoutData.footer}}</footer>',
+                data: { nav: ['Home', 'Shop'], footer: 'Shared footer' },
+                partials: { navigation: '<nav>{{#each layoutData.nav}}<a>{{this}}</a>{{/each}}</nav>' }
+            }), { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'max-age=60' });
+        });
+
+        it('should render layout with bundled data and partials', function (done) {
+            var view = path.resolve(__dirname, 'fixtures/views/sections.handlebars');
+            remoteHandlebars.create({ layout: 'http://mocked/layouts/envelope' })
+            .render(view, {}, function (error, rendered) {
+                if (error) return done(error);
+
+                rendered
+                .should.containEql('<nav><a>Home</a><a>Shop</a></nav>')
+                .and.containEql('<footer>Shared footer</footer>');
+
+                done();
+            });
+        });
+
+        it('should cache data with compiled layout', function (done) {
+            var instance = remoteHandlebars.create();
+            instance.getLayout('http://mocked/layouts/envelope', function (error) {
+                if (error) return done(error);
+                instance.getLayout('http://mocked/layouts/envelope', function (error, template) {
+                    if (error) return done(error);
+
+                    template.data.footer.should.equal('Shared footer');
+                    template.partials.navigation.should.be.a.Function();
+
+                    done();
+                });
+            });
+        });
+
+        it('should not let application data overwrite layout data under configured key', function (done) {
+            nock.removeInterceptor(this.envelopeLayoutMock.interceptors[0]);
+            nock('http://mocked')
+            .get('/layouts/envelope')
+            .reply(200, JSON.stringify({
+                template: '<main>{{{content}}}</main><footer>{{shared.footer}}</footer>',
+                data: { footer: 'Shared footer' }
+            }), { 'Content-Type': 'application/json' });
+
+            var view = path.resolve(__dirname, 'fixtures/views/sections.handlebars');
+            remoteHandlebars.create({ layout: 'http://mocked/layouts/envelope', layoutDataKey: 'shared' })
+            .render(view, { shared: { footer: 'Application footer' } }, function (error, rendered) {
+                if (error) return done(error);
+
+                rendered
+                .should.containEql('<footer>Shared footer</footer>')
+                .and.not.containEql('Application footer');
+
+                done();
+            });
+        });
+    });
+
+    describe('precompiled templates', function () {
+        beforeEach(function () {
+            this.bundlePath = path.join(os.tmpdir(), 'remote-handlebars-bundle-' + process.pid + '.json');
+        });
+
+        afterEach(function () {
+            if (fs.existsSync(this.bundlePath)) fs.unlinkSync(this.bundlePath);
+        });
+
+        it('should load precompiled remote layouts', function (done) {
+            var spec = require('handlebars').precompile('<main class="precompiled">{{{content}}}</main>');
+            nock('http://mocked')
+            .get('/layouts/precompiled')
+            .reply(200, spec, { 'Content-Type': 'application/x-handlebars-precompiled' });
+
+            var view = path.resolve(__dirname, 'fixtures/views/sections.handlebars');
+            remoteHandlebars.create({ layout: 'http://mocked/layouts/precompiled', validateContentType: true, allowPrecompiled: true })
+            .render(view, {}, function (error, rendered) {
+                if (error) return done(error);
+
+                rendered.should.containEql('<main class="precompiled">');
+
+                done();
+            });
+        });
+
+        it('should reject precompiled remote layouts unless allowed', function (done) {
+            process.precompiledLayoutRan = false;
+            var spec = '{"compiler":[8,">= 4.3.0"],"main":(function () { process.precompiledLayoutRan = true; return function () { return ""; }; })(),"useData":true}';
+            nock('http://mocked')
+            .get('/layouts/precompiled')
+            .reply(200, spec, { 'Content-Type': 'application/x-handlebars-precompiled' });
+
+            var instance = remoteHandlebars.create();
+            instance.contentTypes.should.not.containEql('application/x-handlebars-precompiled');
+            instance.getLayout('http://mocked/layouts/precompiled', function (error) {
+                error.should.be.an.instanceOf(remoteHandlebars.ContentTypeError);
+                process.precompiledLayoutRan.should.be.false();
+                delete process.precompiledLayoutRan;
+
+                done();
+            });
+        });
+
+        it('should precompile local views and partials into bundle', function (done) {
+            var bundlePath = this.bundlePath;
+            var viewsDir = path.resolve(__dirname, 'fixtures/views');
+            var view = path.resolve(viewsDir, 'index.handlebars');
+
+            remoteHandlebars.create().precompile(viewsDir, bundlePath, function (error, bundle) {
+                if (error) return done(error);
+
+                bundle.templates.should.have.property(path.relative(os.tmpdir(), path.resolve(viewsDir, 'partials/sidebar.handlebars')).split(path.sep).join('/'));
+
+                var instance = remoteHandlebars.create({ bundle: bundlePath, partialsDir: path.resolve(viewsDir, 'partials') });
+                instance.loadBundle(function (error) {
+                    if (error) return done(error);
+
+                    instance.getView(view, function (error, template) {
+                        if (error) return done(error);
+                        template.should.equal(instance.precompiled[view]);
+
+                        instance.render(view, { title: 'Title', list: ['Link'] }, function (error, rendered) {
+                            if (error) return done(error);
+
+                            rendered
+                            .should.containEql('<h1>Title</h1>')
+                            .and.containEql('<aside>');
+
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+
+        it('should keep parent layouts of precompiled layouts', function (done) {
+            var bundlePath = this.bundlePath;
+            var layoutsDir = path.resolve(__dirname, 'fixtures/views/layouts');
+            var instance = remoteHandlebars.create({ layoutsDir: layoutsDir });
+
+            instance.precompile(layoutsDir, bundlePath).then(function () {
+                return instance.loadBundle(bundlePath);
+            }).then(function () {
+                return instance.getLayout('product');
+            }).then(function (template) {
+                template.should.equal(instance.precompiled[path.resolve(layoutsDir, 'product.hbs')]);
+                template.parentLayout.should.equal('category');
+                done();
+            }).catch(done);
+        });
+    });
+
+    describe('record and replay', function () {
+        beforeEach(function () {
+            this.fixturesDir = path.join(os.tmpdir(), 'remote-handlebars-fixtures-' + process.pid);
+        });
+
+        afterEach(function () {
+            var fixturesDir = this.fixturesDir;
+            if (!fs.existsSync(fixturesDir)) return;
+            fs.readdirSync(fixturesDir).forEach(function (file) {
+                fs.unlinkSync(path.join(fixturesDir, file));
+            });
+            fs.rmdirSync(fixturesDir);
+        });
+
+        it('should record fetched layouts and replay them without network', function (done) {
+            var fixturesDir = this.fixturesDir;
+            var layout = 'http://mocked/layouts/cached';
+            var recorder = remoteHandlebars.create({ fixturesDir: fixturesDir, fixturesMode: 'record' });
+
+            recorder.on('record', function (event) {
+                event.url.should.equal(layout);
+                var recording = JSON.parse(fs.readFileSync(event.filePath, 'utf8'));
+                recording.variants[0].response.statusCode.should.equal(200);
+                recording.variants[0].response.headers['cache-control'].should.equal('max-age=1, stale-while-revalidate=1');
+                recording.variants[0].response.body.should.containEql('{{{content}}}');
+
+                nock.cleanAll();
+                var view = path.resolve(__dirname, 'fixtures/views/sections.handlebars');
+                remoteHandlebars.create({ fixturesDir: fixturesDir, fixturesMode: 'replay', layout: layout })
+                .render(view, {}, function (error, rendered) {
+                    if (error) return done(error);
+
+                    rendered.should.containEql('<main>');
+
+                    done();
+                });
+            });
+            recorder.getLayout(layout, function (error) {
+                if (error) return done(error);
+            });
+        });
+
+        it('should only record accept and vary headers and replay matching variant', function (done) {
+            var fixturesDir = this.fixturesDir;
+            var layout = 'http://mocked/layouts/localised';
+            nock('http://mocked')
+            .get('/layouts/localised')
+            .reply(200, '<main lang="de">{{{content}}}</main>', { 'Vary': 'Accept-Language', 'Set-Cookie': 'session=secret' });
+
+            var recorder = remoteHandlebars.create({ fixturesDir: fixturesDir, fixturesMode: 'record' });
+            recorder.on('record', function (event) {
+                var content = fs.readFileSync(event.filePath, 'utf8');
+                content.should.not.containEql('secret');
+                JSON.parse(content).variants[0].request.headers.should.have.properties({ 'accept-language': 'de' });
+
+                var replayer = remoteHandlebars.create({ fixturesDir: fixturesDir, fixturesMode: 'replay' });
+                replayer.getLayout({ url: layout, headers: { 'Accept-Language': 'de', 'Cookie': 'session=other' } }, function (error, template) {
+                    if (error) return done(error);
+                    template({ content: '' }).should.equal('<main lang="de"></main>');
+
+                    replayer.getLayout({ url: layout, headers: { 'Accept-Language': 'en' } }, function (error) {
+                        error.should.be.an.instanceOf(remoteHandlebars.RecordingNotFoundError);
+                        error.message.should.containEql('matching request headers');
+
+                        done();
+                    });
+                });
+            });
+            recorder.getLayout({ url: layout, headers: { 'Accept-Language': 'de', 'Cookie': 'session=secret' } }, function (error) {
+                if (error) return done(error);
+            });
+        });
+
+        it('should start new recording over recordings without variants', function (done) {
+            var fixturesDir = this.fixturesDir;
+            var layout = 'http://mocked/layouts/cached';
+            var filePath = path.join(fixturesDir, crypto.createHash('sha1').update(layout).digest('hex') + '.json');
+            fs.mkdirSync(fixturesDir);
+            fs.writeFileSync(filePath, JSON.stringify({ statusCode: 200, headers: {}, body: '<main>{{{content}}}</main>' }));
+
+            var recorder = remoteHandlebars.create({ fixturesDir: fixturesDir, fixturesMode: 'record' });
+            recorder.on('record', function () {
+                var recording = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+                recording.variants.length.should.equal(1);
+                recording.should.not.have.property('body');
+
+                done();
+            });
+            recorder.getLayout(layout, function (error) {
+                if (error) return done(error);
+            });
+        });
+
+        it('should fail on recordings without variants when replaying', function (done) {
+            var fixturesDir = this.fixturesDir;
+            var layout = 'http://mocked/layouts/default';
+            fs.mkdirSync(fixturesDir);
+            fs.writeFileSync(path.join(fixturesDir, crypto.createHash('sha1').update(layout).digest('hex') + '.json'), 'null');
+
+            remoteHandlebars.create({ fixturesDir: fixturesDir, fixturesMode: 'replay' })
+            .getLayout(layout, function (error) {
+                should.exist(error);
+                error.message.should.containEql('has no variants');
+
+                done();
+            });
+        });
+
+        it('should fail clearly on unrecorded URLs when replaying', function (done) {
+            var test = this;
+            remoteHandlebars.create({ fixturesDir: this.fixturesDir, fixturesMode: 'replay' })
+            .getLayout('http://mocked/layouts/default', function (error) {
+                error.should.be.instanceOf(remoteHandlebars.RecordingNotFoundError);
+                error.code.should.equal('ENORECORDING');
+                error.message.should.containEql('http://mocked/layouts/default').and.containEql(test.fixturesDir);
+                test.defaultLayoutMock.isDone().should.be.false();
+
+                done();
+            });
+        });
+    });
+
+    describe('graceful degradation', function () {
+        beforeEach(function () {
+            this.view = path.resolve(__dirname, 'fixtures/views/degraded.handlebars');
+            this.bannerPartialMock = nock('http://mocked')
+            .get('/partials/banner')
+            .reply(500);
+        });
+
+        it('should render view bare if layout fails', function (done) {
+            var instance = remoteHandlebars.create({
+                layout: 'http://mocked/layouts/error',
+                partials: { banner: 'http://mocked/partials/banner' },
+                degradeLayout: true,
+                degradePartials: ['banner']
+            });
+            var events = [];
+            instance.on('error', function () {});
+            instance.on('degrade', function (event) { events.push(event); });
+            instance.render(this.view, {}, function (error, rendered) {
+                if (error) return done(error);
+
+                rendered
+                .should.containEql('<article>Reduced page</article>')
+                .and.containEql('<div class="banner"></div>')
+                .and.not.containEql('<html>');
+
+                events.length.should.equal(1);
+                events[0].layout.should.be.an.instanceOf(Error);
+                events[0].partials.should.have.property('banner');
+
+                done();
+            });
+        });
+
+        it('should render view inside local fallback layout if layout fails', function (done) {
+            var instance = remoteHandlebars.create({
+                layout: 'http://mocked/layouts/error',
+                fallbackLayout: path.resolve(__dirname, 'fixtures/views/layouts/sections.handlebars'),
+                partials: { banner: 'http://mocked/partials/banner' },
+                degradePartials: true
+            });
+            instance.on('error', function () {});
+            instance.render(this.view, {}, function (error, rendered) {
+                if (error) return done(error);
+
+                rendered
+                .should.containEql('<main>')
+                .and.containEql('<article>Reduced page</article>');
+
+                done();
+            });
+        });
+
+        it('should render local partials which fail to compile empty', function (done) {
+            var view = path.resolve(__dirname, 'fixtures/views/degraded.handlebars');
+            var instance = remoteHandlebars.create({
+                partialsDir: path.resolve(__dirname, 'fixtures/broken-partials'),
+                degradePartials: ['banner']
+            });
+            var events = [];
+            var compiled = 0;
+            instance.on('error', function () {});
+            instance.on('degrade', function (event) { events.push(event); });
+            instance.on('compile', function () { compiled++; });
+            instance.render(view, {}, function (error, rendered) {
+                if (error) return done(error);
+
+                rendered.should.containEql('<div class="banner"></div>');
+                events[0].partials.banner.message.should.containEql('Failed to compile template');
+
+                // Failure is cached along with partials, not read again
+                var reads = compiled;
+                instance.render(view, {}, function (error, rendered) {
+                    if (error) return done(error);
+
+                    rendered.should.containEql('<div class="banner"></div>');
+                    events.length.should.equal(2);
+                    compiled.should.equal(reads);
+
+                    done();
+                });
+            });
+        });
+
+        it('should fail on cached local partials failing to compile without policy', function (done) {
+            var view = path.resolve(__dirname, 'fixtures/views/degraded.handlebars');
+            var instance = remoteHandlebars.create({
+                partialsDir: path.resolve(__dirname, 'fixtures/broken-partials'),
+                degradePartials: ['banner']
+            });
+            instance.on('error', function () {});
+            instance.render(view, {}, function (error) {
+                if (error) return done(error);
+
+                instance.render(view, { degradePartials: false }, function (error) {
+                    should.exist(error);
+                    error.message.should.containEql('Failed to compile template');
+
+                    done();
+                });
+            });
+        });
+
+        it('should degrade remote layouts which fail to compile', function (done) {
+            nock('http://mocked')
+            .get('/layouts/broken')
+            .reply(200, '<main>{{#if content}}{{{content}}}</main>');
+
+            var instance = remoteHandlebars.create({
+                layout: 'http://mocked/layouts/broken',
+                partials: { banner: 'http://mocked/partials/banner' },
+                degradeLayout: true,
+                degradePartials: true
+            });
+            instance.on('error', function () {});
+            instance.render(this.view, {}, function (error, rendered) {
+                if (error) return done(error);
+
+                rendered.should.not.containEql('<main>');
+                rendered.should.containEql('Reduced page');
+
+                done();
+            });
+        });
+
+        it('should fail on partials not named by policy', function (done) {
+            remoteHandlebars.create({
+                partials: { banner: 'http://mocked/partials/banner' },
+                degradePartials: ['sidebar']
+            })
+            .render(this.view, {}, function (error) {
+                should.exist(error);
+                error.message.should.containEql('500');
 
                 done();
             });